@@ -0,0 +1,270 @@
+/**
+ * BrainFish Analytics - Local focus statistics for the v2 widget
+ *
+ * Hooked into the widget's animation loop and task events, it records per
+ * task how long its fish was on screen, how often the cursor chased it away,
+ * how often it was snoozed and when it was completed, plus a summary per day.
+ * Everything stays in localStorage; nothing is sent anywhere.
+ */
+
+const DEFAULT_ANALYTICS_KEY = 'brainfish-analytics';
+const AVOIDANCE_COOLDOWN = 1000; // ms before the same fish can count as pushed away again
+const STATS_TABLES = {
+    tasks: ['id', 'title', 'visibleTime', 'avoidances', 'snoozes', 'completions', 'firstSeen', 'lastSeen', 'lastCompleted'],
+    days: ['date', 'activeTime', 'avoidances', 'snoozes', 'completed'],
+    completions: ['id', 'title', 'completedAt']
+};
+
+function createEmptyStats(now) {
+    return { since: now, tasks: {}, days: {}, completions: [] };
+}
+
+function toISOString(time) {
+    return time === null || time === undefined ? null : new Date(time).toISOString();
+}
+
+/**
+ * Local calendar day, such as '2025-06-01'
+ */
+function getDayKey(now) {
+    const date = new Date(now);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function roundSeconds(seconds) {
+    return Math.round(seconds * 10) / 10;
+}
+
+function escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class BrainFishAnalytics {
+    constructor(widget, options = {}) {
+        this.widget = widget;
+        this.storageKey = options.storageKey || DEFAULT_ANALYTICS_KEY;
+        this.days = options.days || 90; // Days of history to keep
+        this.historyLimit = options.historyLimit || 1000; // Completions to keep
+        this.saveInterval = options.saveInterval || 10000; // ms between saves while fish swim
+
+        this.data = this.load();
+        this.dirty = false;
+        this.saveTimer = null;
+        this.fishState = new WeakMap(); // fish -> { avoiding, countedAt }
+
+        this.handleTaskComplete = (e) => this.recordCompletion(e.task);
+        this.handleTaskSnooze = (e) => this.recordSnooze(e.task);
+        this.handlePageHide = () => this.save();
+    }
+
+    start() {
+        this.widget.on('taskComplete', this.handleTaskComplete);
+        this.widget.on('taskSnooze', this.handleTaskSnooze);
+        this.saveTimer = setInterval(() => {
+            if (this.dirty) this.save();
+        }, this.saveInterval);
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    stop() {
+        this.widget.off('taskComplete', this.handleTaskComplete);
+        this.widget.off('taskSnooze', this.handleTaskSnooze);
+        clearInterval(this.saveTimer);
+        this.saveTimer = null;
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.save();
+    }
+
+    // Recording
+
+    getTaskRecord(task, now) {
+        let record = this.data.tasks[task.id];
+        if (!record) {
+            // Times are stored as ms timestamps and reported as ISO strings
+            record = { title: task.title, visibleTime: 0, avoidances: 0, snoozes: 0, completions: 0, firstSeen: now, lastSeen: now, lastCompleted: null };
+            this.data.tasks[task.id] = record;
+        }
+        record.title = task.title;
+        return record;
+    }
+
+    getDayRecord(now) {
+        const key = getDayKey(now);
+        if (!this.data.days[key]) {
+            this.data.days[key] = { activeTime: 0, avoidances: 0, snoozes: 0, completed: 0 };
+        }
+        return this.data.days[key];
+    }
+
+    /**
+     * Count one animation frame: time on screen for every fish that's inside
+     * the widget, and a push for every fish the cursor just started chasing
+     */
+    recordFrame(deltaTime, now = Date.now()) {
+        const { simulation, fishList } = this.widget;
+        let anyVisible = false;
+
+        fishList.forEach(fish => {
+            const record = this.getTaskRecord(fish.task, now);
+            const extent = simulation.getExtent(fish);
+            if (fish.x - extent.front < simulation.width && fish.x + extent.back > 0) {
+                record.visibleTime += deltaTime;
+                record.lastSeen = now;
+                anyVisible = true;
+            }
+
+            const state = this.fishState.get(fish) || { avoiding: false, countedAt: -Infinity };
+            if (fish.isAvoiding && !state.avoiding && now - state.countedAt >= AVOIDANCE_COOLDOWN) {
+                record.avoidances++;
+                this.getDayRecord(now).avoidances++;
+                state.countedAt = now;
+            }
+            state.avoiding = fish.isAvoiding;
+            this.fishState.set(fish, state);
+        });
+
+        if (anyVisible) {
+            this.getDayRecord(now).activeTime += deltaTime;
+            this.dirty = true;
+        }
+    }
+
+    recordCompletion(task, now = Date.now()) {
+        const record = this.getTaskRecord(task, now);
+        record.completions++;
+        record.lastCompleted = now;
+        this.getDayRecord(now).completed++;
+
+        this.data.completions.push({ id: task.id, title: task.title, completedAt: now });
+        this.save();
+    }
+
+    recordSnooze(task, now = Date.now()) {
+        this.getTaskRecord(task, now).snoozes++;
+        this.getDayRecord(now).snoozes++;
+        this.save();
+    }
+
+    // Reporting
+
+    /**
+     * Everything recorded so far. Tasks come most dodged first (avoidances
+     * plus snoozes), days oldest first. Times are in seconds.
+     */
+    getStats() {
+        const tasks = Object.keys(this.data.tasks).map(id => {
+            const record = this.data.tasks[id];
+            return {
+                id: id,
+                ...record,
+                visibleTime: roundSeconds(record.visibleTime),
+                firstSeen: toISOString(record.firstSeen),
+                lastSeen: toISOString(record.lastSeen),
+                lastCompleted: toISOString(record.lastCompleted)
+            };
+        });
+        tasks.sort((a, b) => (b.avoidances + b.snoozes) - (a.avoidances + a.snoozes) || b.visibleTime - a.visibleTime);
+
+        const days = Object.keys(this.data.days).sort().map(date => {
+            const record = this.data.days[date];
+            return { date: date, ...record, activeTime: roundSeconds(record.activeTime) };
+        });
+
+        const totals = tasks.reduce((sum, task) => ({
+            visibleTime: roundSeconds(sum.visibleTime + task.visibleTime),
+            avoidances: sum.avoidances + task.avoidances,
+            snoozes: sum.snoozes + task.snoozes,
+            completions: sum.completions + task.completions
+        }), { visibleTime: 0, avoidances: 0, snoozes: 0, completions: 0 });
+
+        return {
+            since: toISOString(this.data.since),
+            totals: totals,
+            tasks: tasks,
+            days: days,
+            completions: this.data.completions.map(entry => ({ ...entry, completedAt: toISOString(entry.completedAt) }))
+        };
+    }
+
+    /**
+     * Stats as 'json' (everything) or 'csv' (one table: 'tasks', 'days' or 'completions')
+     */
+    export(format = 'json', table = 'tasks') {
+        const stats = this.getStats();
+        if (format === 'json') return JSON.stringify(stats, null, 2);
+        if (format !== 'csv') {
+            throw new Error(`BrainFish: unknown stats format "${format}"`);
+        }
+
+        const columns = STATS_TABLES[table];
+        if (!columns) {
+            throw new Error(`BrainFish: unknown stats table "${table}"`);
+        }
+        const rows = stats[table].map(row => columns.map(column => escapeCSV(row[column])).join(','));
+        return [columns.join(',')].concat(rows).join('\r\n');
+    }
+
+    /**
+     * Forget everything recorded so far
+     */
+    clear(now = Date.now()) {
+        this.data = createEmptyStats(now);
+        this.fishState = new WeakMap();
+        this.dirty = true;
+        this.save();
+    }
+
+    // Persistence
+
+    load() {
+        const now = Date.now();
+        if (typeof localStorage === 'undefined') return createEmptyStats(now);
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && stored.tasks && stored.days && Array.isArray(stored.completions)) return stored;
+            if (stored) console.warn('BrainFish: ignoring unreadable analytics data');
+        } catch (error) {
+            console.warn('BrainFish: ignoring unreadable analytics data', error);
+        }
+        return createEmptyStats(now);
+    }
+
+    /**
+     * Drop days beyond the history window, tasks not seen in it that no
+     * longer exist, and the oldest completions beyond historyLimit
+     */
+    prune(now = Date.now()) {
+        const cutoff = now - this.days * 24 * 60 * 60 * 1000;
+        const oldestDay = getDayKey(cutoff);
+        Object.keys(this.data.days).forEach(date => {
+            if (date < oldestDay) delete this.data.days[date];
+        });
+
+        const current = new Set(this.widget.tasks.map(task => task.id));
+        Object.keys(this.data.tasks).forEach(id => {
+            if (!current.has(id) && this.data.tasks[id].lastSeen < cutoff) delete this.data.tasks[id];
+        });
+
+        if (this.data.completions.length > this.historyLimit) {
+            this.data.completions = this.data.completions.slice(-this.historyLimit);
+        }
+    }
+
+    save() {
+        this.dirty = false;
+        if (typeof localStorage === 'undefined') return;
+        this.prune();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('BrainFish: could not save analytics', error);
+        }
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishAnalytics;
+}
@@ -0,0 +1,327 @@
+/**
+ * BrainFish Canvas Renderer - draws every fish onto a single <canvas>
+ *
+ * Drop-in alternative to the DOM renderer for large task counts: instead of a
+ * style write per sprite part and letter each frame, sprite parts are drawn
+ * from the theme's sprite sheet and letters from a glyph cache (each grapheme
+ * is rendered with its outline once per size, colour and glow, then blitted).
+ * Motion, wave paths and avoidance stay in BrainFishWidget.
+ */
+
+// Resolve the default sprite relative to this script, like the CSS does
+const CANVAS_RENDERER_SRC = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : '';
+
+const GLOW_COLORS = {
+    soon: 'rgba(255, 204, 0, 0.8)',
+    imminent: 'rgba(255, 149, 0, 0.9)',
+    overdue: 'rgba(255, 59, 48, 0.9)',
+    focused: 'rgba(255, 255, 255, 0.7)'
+};
+
+const FADE_DURATION = 600; // Matches the CSS opacity transition
+
+class BrainFishCanvasRenderer {
+    constructor(widget, options = {}) {
+        this.widget = widget;
+        this.container = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.pixelRatio = 1;
+        this.width = 0;
+        this.height = 0;
+
+        this.fallbackSpriteUrl = options.spriteUrl || BrainFishCanvasRenderer.defaultSpriteUrl();
+        this.sprites = new Map(); // Sprite sheet URL -> Image
+
+        this.glyphCache = new Map();
+        this.fishState = new Map(); // fish -> { states, changedAt, bounds }
+        this.containerStates = new Set();
+        this.clickHandler = null;
+    }
+
+    static defaultSpriteUrl() {
+        try {
+            return new URL('../assets/fish-sprite.png', CANVAS_RENDERER_SRC || window.location.href).href;
+        } catch (error) {
+            return 'assets/fish-sprite.png';
+        }
+    }
+
+    getSprite(url) {
+        let sprite = this.sprites.get(url);
+        if (!sprite) {
+            sprite = new Image();
+            sprite.src = url;
+            this.sprites.set(url, sprite);
+        }
+        return sprite;
+    }
+
+    mount(container) {
+        this.container = container;
+        this.container.classList.add('brainfish-canvas');
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'brainfish-canvas-layer';
+        this.canvas.setAttribute('aria-hidden', 'true'); // The widget's accessible task list describes the fish
+        this.container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+    }
+
+    createFish(fish, { entering = false } = {}) {
+        this.fishState.set(fish, {
+            states: new Set(entering ? ['entering'] : []),
+            changedAt: { entering: performance.now() },
+            bounds: null
+        });
+    }
+
+    // Letters are drawn straight from fish.glyphs every frame
+    setText() {}
+
+    // Theme, task colour, priority and urgency are read while drawing
+    updateFish() {}
+
+    setState(fish, state, on) {
+        const entry = this.fishState.get(fish);
+        if (!entry || entry.states.has(state) === on) return;
+
+        if (on) {
+            entry.states.add(state);
+        } else {
+            entry.states.delete(state);
+        }
+        entry.changedAt[state] = performance.now();
+    }
+
+    setContainerState(state, on) {
+        if (on) {
+            this.containerStates.add(state);
+        } else {
+            this.containerStates.delete(state);
+        }
+    }
+
+    removeFish(fish) {
+        this.fishState.delete(fish);
+    }
+
+    /**
+     * The canvas never takes pointer events, so fish are found by hit-testing
+     * the bounds drawn last frame, and clicks still reach the page underneath
+     */
+    getFishAt(e) {
+        const rect = this.widget.containerRect;
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        return this.widget.fishList.find(candidate => {
+            const entry = this.fishState.get(candidate);
+            const bounds = entry && entry.bounds;
+            return bounds && x >= bounds.left && x <= bounds.right && y >= bounds.top && y <= bounds.bottom;
+        }) || null;
+    }
+
+    onFishClick(handler) {
+        this.clickHandler = (e) => {
+            const fish = this.getFishAt(e);
+            if (fish) handler(fish, e);
+        };
+        document.addEventListener('click', this.clickHandler);
+    }
+
+    beginFrame() {
+        this.resize();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    endFrame() {}
+
+    resize() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) return;
+
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        this.glyphCache.clear();
+    }
+
+    render(fish, layout) {
+        const entry = this.fishState.get(fish);
+        if (!entry) return;
+
+        const now = performance.now();
+        const alpha = this.getAlpha(fish, entry, now);
+        if (alpha <= 0) return;
+
+        const ctx = this.ctx;
+        const ratio = this.pixelRatio;
+        ctx.globalAlpha = alpha;
+        ctx.filter = entry.states.has('caught') ? this.getCaughtFilter(entry, now) : this.getPulseFilter(fish, now);
+
+        // Fish swimming right are drawn flipped around layout.x, letters excepted
+        const direction = layout.mirrored ? -1 : 1;
+        const theme = this.widget.themeSpec;
+        const sprite = this.getSprite(theme.sprite.url || this.fallbackSpriteUrl);
+        if (sprite.complete && sprite.naturalWidth > 0) {
+            const scaleX = sprite.naturalWidth / theme.sprite.width;
+            const scaleY = sprite.naturalHeight / theme.sprite.height;
+            Object.keys(layout.parts).forEach(name => {
+                const part = layout.parts[name];
+                const rect = theme.sprite.parts[name];
+                // Rotate around the centre of the part's box, like the CSS transform-origin
+                const centerX = (rect.width + 2) / 2;
+                const centerY = (rect.height + 2) / 2;
+
+                ctx.setTransform(ratio * direction, 0, 0, ratio, layout.x * ratio, 0);
+                ctx.translate(part.x + centerX, part.y + centerY);
+                ctx.rotate(part.angle * Math.PI / 180);
+                ctx.scale(layout.spriteScale, layout.spriteScale);
+                ctx.drawImage(
+                    sprite,
+                    rect.x * scaleX, rect.y * scaleY, rect.width * scaleX, rect.height * scaleY,
+                    1 - centerX, 1 - centerY, rect.width, rect.height
+                );
+            });
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        const color = this.widget.getFishColor(fish);
+        const glow = this.getGlow(fish, entry, theme);
+        const weight = fish.task.priority === 'high' ? 900 : 700;
+
+        let top = Infinity;
+        let bottom = -Infinity;
+        layout.letters.forEach((letter, i) => {
+            const glyph = this.getGlyph(fish.glyphs[i], layout.fontSize * letter.scale, color, theme.outline, weight, glow);
+            const x = layout.mirrored
+                ? (layout.x - letter.x) * ratio - glyph.canvas.width + glyph.padding
+                : (layout.x + letter.x) * ratio - glyph.padding;
+            const y = letter.y * ratio - glyph.padding;
+            ctx.drawImage(glyph.canvas, Math.round(x), Math.round(y));
+
+            top = Math.min(top, letter.y);
+            bottom = Math.max(bottom, letter.y + layout.fontSize * letter.scale * 1.2);
+        });
+
+        ctx.globalAlpha = 1;
+        ctx.filter = 'none';
+
+        entry.bounds = {
+            left: layout.mirrored ? layout.x - layout.textWidth : layout.x + layout.parts.head.x,
+            right: layout.mirrored ? layout.x - layout.parts.head.x : layout.x + layout.textWidth,
+            top: Math.min(top, layout.parts.head.y),
+            bottom: bottom
+        };
+    }
+
+    /**
+     * Opacity combining the states the DOM renderer expresses through CSS
+     */
+    getAlpha(fish, entry, now) {
+        let alpha = 1;
+
+        if (fish.task.completed) alpha *= 0.35;
+        if (fish.task.priority === 'low') alpha *= 0.8;
+        if (this.containerStates.has('on-break')) alpha *= 0.5;
+
+        if (entry.states.has('entering')) {
+            const progress = Math.min(1, (now - entry.changedAt.entering) / FADE_DURATION);
+            alpha *= progress;
+            if (progress >= 1) entry.states.delete('entering');
+        }
+        if (entry.states.has('leaving')) {
+            alpha *= Math.max(0, 1 - (now - entry.changedAt.leaving) / FADE_DURATION);
+        }
+        if (entry.states.has('pomodoro-low') && !this.containerStates.has('reduced-motion')) {
+            alpha *= 0.8 + 0.2 * Math.cos((now / 1000) * Math.PI * 2);
+        }
+
+        return alpha;
+    }
+
+    getCaughtFilter(entry, now) {
+        const progress = Math.min(1, (now - entry.changedAt.caught) / 500);
+        const brightness = progress < 0.3 ? 1 + progress / 0.3 : 2 - (progress - 0.3) / 0.7;
+        return `brightness(${brightness})`;
+    }
+
+    /**
+     * Brightness pulse for fish whose due date is close, like the CSS animation
+     */
+    getPulseFilter(fish, now) {
+        if (!this.widget.urgencyLevels[fish.urgency].pulse || this.containerStates.has('reduced-motion')) return 'none';
+        return `brightness(${1.3 - 0.3 * Math.cos((now / 1200) * Math.PI * 2)})`;
+    }
+
+    getGlow(fish, entry, theme) {
+        if (entry.states.has('focused') || entry.states.has('keyboard-focus')) return GLOW_COLORS.focused;
+        return GLOW_COLORS[fish.urgency] || theme.glow;
+    }
+
+    /**
+     * Pre-rendered outlined character, cached per size, colours, weight and glow
+     */
+    getGlyph(char, fontSize, color, outlineColor, weight, glow) {
+        const size = Math.round(fontSize * this.pixelRatio * 2) / 2;
+        const key = `${char}|${size}|${color}|${outlineColor}|${weight}|${glow}`;
+        const cached = this.glyphCache.get(key);
+        if (cached) return cached;
+
+        const font = `${weight} ${size}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        const outline = Math.max(1, this.pixelRatio);
+        const padding = Math.ceil(outline + (glow ? 8 * this.pixelRatio : 0));
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        ctx.font = font;
+        canvas.width = Math.ceil(ctx.measureText(char).width) + padding * 2;
+        canvas.height = Math.ceil(size * 1.2) + padding * 2;
+
+        // Resizing resets the context state
+        ctx.font = font;
+        ctx.textBaseline = 'top';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = outline * 2;
+        ctx.strokeStyle = outlineColor;
+        if (glow) {
+            ctx.shadowColor = glow;
+            ctx.shadowBlur = 6 * this.pixelRatio;
+        }
+        ctx.strokeText(char, padding, padding);
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = color;
+        ctx.fillText(char, padding, padding);
+
+        const glyph = { canvas: canvas, padding: padding };
+        this.glyphCache.set(key, glyph);
+        return glyph;
+    }
+
+    destroy() {
+        if (this.clickHandler) {
+            document.removeEventListener('click', this.clickHandler);
+            this.clickHandler = null;
+        }
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+        this.glyphCache.clear();
+        this.fishState.clear();
+        this.container = null;
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishCanvasRenderer;
+}
@@ -0,0 +1,735 @@
+/**
+ * BrainFish Clip Drawer - edge drawers for stashing snippets
+ *
+ * The web counterpart of the macOS ClipDrawerManager, ClipDrawer, ClipBump
+ * and DeleteZoneView: drawers at the left and right edges of the window
+ * that slide out when the pointer gets near and take dragged or pasted
+ * text, links and images. A clip stays where it was dropped (one of 32
+ * zones down the drawer), grows dock-style as the pointer approaches and
+ * fades autoHideDelay seconds after the pointer leaves. Drag a clip into a
+ * page or another app to use it, back into a drawer to move it, or onto the
+ * delete zone at the top of the window to throw it away.
+ *
+ * Works on its own (new BrainFishClipDrawer(options).mount()) or through
+ * the widget's clipDrawer option. Clips are kept in localStorage under
+ * SavedClips, like the macOS UserDefaults key. Styled by
+ * brainfish-widget-v2.css.
+ */
+
+const CLIP_ZONES = 32; // Drop zones down each drawer
+const CLIP_TOP_MARGIN = 100; // px left free above the drawers
+const CLIP_BOTTOM_MARGIN = 150; // px left free below them
+const CLIP_PREVIEW_LENGTH = 10; // Characters shown on a clip
+const CLIP_PREVIEW_DELAY = 3000; // ms of hovering before the whole clip is shown
+const CLIP_EXPANDED_EDGE_ZONE = 60; // px from the edge that keep an open drawer open
+const CLIP_DRAG_TYPE = 'application/x-brainfish-clip';
+const CLIP_SIDES = ['left', 'right'];
+
+// Defaults mirror the macOS AppSettings (clipDrawer*, clipZoom*, clip*)
+const CLIP_DRAWER_DEFAULTS = {
+    left: true,
+    right: false,
+    autoHideDelay: 4, // Seconds the clips stay after the pointer leaves
+    deleteOnDragOut: true, // Dragging a clip out moves it, Alt+drag copies it (the other way round when false)
+    showIcons: false, // Site icon on link clips; off by default, as it's loaded from the linked site
+    storageKey: 'SavedClips',
+    maxImageSize: 1024 * 1024, // Bytes; localStorage only holds about 5 MB
+    fontSize: 6,
+    drawerWidth: 46,
+    peekWidth: 4, // px of a closed drawer left on screen
+    slideOutDistance: 20, // px of an open drawer on screen
+    edgeSensitivity: 0.03, // Fraction of the window width that opens a drawer
+    bumpPeekDistance: -16, // Clip offset from the middle of the drawer
+    bumpHeight: 80, // Longest a clip gets
+    zoomMin: 1.4,
+    zoomMax: 3,
+    zoomRadiusHidden: 100, // Distance at which the zoom is halfway
+    zoomRadiusVisible: 150, // No zoom beyond this distance; inside it the clips stay visible
+    zoomPower: 2 // Steepness of the falloff
+};
+
+function createDrawerElement(tag, className, attributes = {}) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+}
+
+function isLink(text) {
+    if (!/^https?:\/\/\S+$/i.test(text)) return false;
+    try {
+        new URL(text);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+class BrainFishClipDrawer {
+    constructor(options = {}) {
+        this.options = Object.assign({}, CLIP_DRAWER_DEFAULTS, options);
+        this.root = options.root || null; // Node the drawers go in; document.body by default
+        this.onChange = options.onChange || null; // Called with every clip after each change
+        this.onError = options.onError || null; // Called with a message when the clips can't be saved
+        this.clips = this.load(); // Most recent first
+        this.layer = null;
+        this.deleteZone = null;
+        this.preview = null;
+        this.previewTimer = null;
+        this.pointer = null; // Last pointer position in viewport coordinates
+        this.dragging = null; // { clip, keep, handled } while a clip is dragged
+        this.sides = {}; // Side -> { drawer, clips, drawerVisible, clipsVisible, hideTimer }
+
+        this.handlePointerMove = (e) => {
+            this.pointer = { x: e.clientX, y: e.clientY };
+            this.update();
+        };
+        this.handlePaste = (e) => this.paste(e);
+        this.handleResize = () => this.layout();
+        this.handleStorage = (e) => {
+            if (e.key !== this.options.storageKey) return;
+            this.clips = this.load();
+            this.renderClips();
+            this.notify();
+        };
+    }
+
+    /**
+     * Clip with its content, side and drop zone. Content is a string (links
+     * are recognised) or { type: 'text' | 'url' | 'image', value }, where an
+     * image value is a data URL.
+     */
+    static createClip(content, options = {}) {
+        let data = content;
+        if (typeof content === 'string') {
+            data = isLink(content.trim()) ? { type: 'url', value: content.trim() } : { type: 'text', value: content };
+        }
+        const valid = data && typeof data.value === 'string' && (
+            (data.type === 'text' && data.value) ||
+            (data.type === 'url' && isLink(data.value)) ||
+            (data.type === 'image' && data.value.startsWith('data:image/'))
+        );
+        if (!valid) throw new Error('BrainFish: a clip needs text, a link or an image data URL');
+
+        const clip = {
+            id: options.id || BrainFishClipDrawer.generateClipId(),
+            type: data.type,
+            value: data.value,
+            side: options.side === 'right' ? 'right' : 'left',
+            dropZone: Math.max(0, Math.min(CLIP_ZONES - 1, Math.floor(options.dropZone) || 0)),
+            timestamp: options.timestamp || Date.now(),
+            source: options.source || null // Page the clip came from, when known
+        };
+        clip.preview = BrainFishClipDrawer.getPreviewText(clip);
+        return clip;
+    }
+
+    static generateClipId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return 'clip-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    /**
+     * Size in KB of an image clip's data URL
+     */
+    static getImageSize(clip) {
+        const data = clip.value.slice(clip.value.indexOf(',') + 1);
+        return Math.floor(data.length * 3 / 4 / 1024);
+    }
+
+    // ClipContent.previewText
+    static getPreviewText(clip) {
+        if (clip.type === 'image') return `Image ${BrainFishClipDrawer.getImageSize(clip)}KB`;
+        return Array.from(clip.value).slice(0, CLIP_PREVIEW_LENGTH).join('');
+    }
+
+    // ClipContent.fullText
+    static getFullText(clip) {
+        if (clip.type === 'image') return `Image (${BrainFishClipDrawer.getImageSize(clip)} KB)`;
+        return clip.value;
+    }
+
+    /**
+     * Clip content of a drop or paste: an image file, then a link, then
+     * plain text, then the text of HTML. Resolves to null when there's
+     * nothing usable.
+     */
+    readTransfer(transfer) {
+        if (!transfer) return Promise.resolve(null);
+
+        const file = Array.from(transfer.files || []).find(item => /^image\//.test(item.type));
+        if (file) return this.readImage(file);
+
+        const uri = (transfer.getData('text/uri-list') || '')
+            .split(/\r?\n/)
+            .find(line => line && !line.startsWith('#'));
+        if (uri && isLink(uri.trim())) return Promise.resolve({ type: 'url', value: uri.trim() });
+
+        const text = transfer.getData('text/plain');
+        if (text && text.trim()) return Promise.resolve(text);
+
+        const html = transfer.getData('text/html');
+        if (html) {
+            const parsed = new DOMParser().parseFromString(html, 'text/html');
+            const htmlText = (parsed.body.textContent || '').trim();
+            if (htmlText) return Promise.resolve(htmlText);
+        }
+        return Promise.resolve(null);
+    }
+
+    readImage(file) {
+        if (file.size > this.options.maxImageSize) {
+            console.warn(`BrainFish: ${file.name || 'image'} is too big for the clip drawer (${Math.round(file.size / 1024)} KB)`);
+            return Promise.resolve(null);
+        }
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve({ type: 'image', value: reader.result });
+            reader.onerror = () => {
+                console.warn('BrainFish: could not read the dropped image', reader.error);
+                resolve(null);
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Clips
+
+    getClips(side) {
+        return side ? this.clips.filter(clip => clip.side === side) : this.clips.slice();
+    }
+
+    /**
+     * Add a clip to the top of the list. Options: side, dropZone, source
+     */
+    addClip(content, options = {}) {
+        const clip = BrainFishClipDrawer.createClip(content, options);
+        this.clips.unshift(clip);
+        this.commit();
+        return clip;
+    }
+
+    removeClip(id) {
+        const index = this.clips.findIndex(clip => clip.id === id);
+        if (index === -1) return null;
+
+        const [clip] = this.clips.splice(index, 1);
+        this.commit();
+        return clip;
+    }
+
+    moveClip(id, side, dropZone) {
+        const clip = this.clips.find(item => item.id === id);
+        if (!clip) return null;
+
+        clip.side = side === 'right' ? 'right' : 'left';
+        clip.dropZone = Math.max(0, Math.min(CLIP_ZONES - 1, Math.floor(dropZone) || 0));
+        this.commit();
+        return clip;
+    }
+
+    clear() {
+        this.clips = [];
+        this.commit();
+    }
+
+    commit() {
+        this.save();
+        this.renderClips();
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.getClips());
+    }
+
+    // Persistence
+
+    load() {
+        try {
+            const raw = window.localStorage.getItem(this.options.storageKey);
+            if (!raw) return [];
+
+            const stored = JSON.parse(raw);
+            if (!Array.isArray(stored)) throw new Error('not a list of clips');
+
+            // One bad clip shouldn't cost the rest; it's dropped at the next save
+            const clips = [];
+            stored.forEach(clip => {
+                try {
+                    clips.push(BrainFishClipDrawer.createClip({ type: clip.type, value: clip.value }, clip));
+                } catch (error) {
+                    console.warn('BrainFish: skipping a saved clip that could not be read', clip, error);
+                }
+            });
+            return clips;
+        } catch (error) {
+            // Like the macOS app, start over rather than keep failing on bad data
+            console.warn('BrainFish: could not read the saved clips, clearing them', error);
+            try {
+                window.localStorage.removeItem(this.options.storageKey);
+            } catch (removeError) {
+                // Storage is unavailable; nothing to clear
+            }
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            window.localStorage.setItem(this.options.storageKey, JSON.stringify(this.clips));
+        } catch (error) {
+            console.warn('BrainFish: could not save the clips', error);
+            if (this.onError) this.onError('Clips could not be saved; browser storage may be full', error);
+        }
+    }
+
+    // Drawers
+
+    mount() {
+        if (this.layer) return;
+
+        this.layer = createDrawerElement('div', 'brainfish-clips');
+        this.layer.style.setProperty('--brainfish-clip-font-size', `${this.options.fontSize}px`);
+
+        this.deleteZone = createDrawerElement('div', 'brainfish-clip-delete', { 'aria-hidden': 'true' });
+        this.deleteZone.hidden = true;
+        this.deleteZone.addEventListener('dragover', (e) => {
+            if (!this.dragging) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.deleteZone.classList.add('brainfish-clip-delete-targeted');
+        });
+        this.deleteZone.addEventListener('dragleave', () => {
+            this.deleteZone.classList.remove('brainfish-clip-delete-targeted');
+        });
+        this.deleteZone.addEventListener('drop', (e) => {
+            if (!this.dragging) return;
+            e.preventDefault();
+            this.dragging.handled = true;
+            this.removeClip(this.dragging.clip.id);
+        });
+
+        this.preview = createDrawerElement('div', 'brainfish-clip-preview', { role: 'tooltip' });
+        this.preview.hidden = true;
+
+        this.layer.append(this.deleteZone, this.preview);
+        CLIP_SIDES.forEach(side => {
+            if (this.options[side]) this.createDrawer(side);
+        });
+
+        (this.root || document.body).appendChild(this.layer);
+        this.renderClips();
+
+        // dragover keeps the pointer position current during drags, when pointermove doesn't fire
+        document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+        document.addEventListener('dragover', this.handlePointerMove);
+        document.addEventListener('paste', this.handlePaste);
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('storage', this.handleStorage);
+    }
+
+    createDrawer(side) {
+        const label = side === 'left' ? 'Left clip drawer' : 'Right clip drawer';
+        const drawer = createDrawerElement('div', 'brainfish-clip-drawer', {
+            'data-side': side, tabindex: '0', role: 'region', 'aria-label': `${label}. Paste to add a clip`
+        });
+        const clips = createDrawerElement('div', 'brainfish-clip-list', { 'data-side': side, role: 'list', 'aria-label': label });
+
+        drawer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.dragging ? 'move' : 'copy';
+            drawer.classList.add('brainfish-clip-drop-target');
+        });
+        drawer.addEventListener('dragleave', () => drawer.classList.remove('brainfish-clip-drop-target'));
+        drawer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            drawer.classList.remove('brainfish-clip-drop-target');
+            this.drop(e, side);
+        });
+
+        // Keyboard users open a drawer by focusing it or one of its clips
+        [drawer, clips].forEach(element => {
+            element.addEventListener('focusin', () => this.setVisible(side, true));
+            element.addEventListener('focusout', () => this.scheduleHide(side));
+        });
+
+        this.layer.append(drawer, clips);
+        this.sides[side] = { drawer, clips, drawerVisible: false, clipsVisible: false, hideTimer: null };
+        this.updateDrawer(side);
+    }
+
+    removeDrawer(side) {
+        const state = this.sides[side];
+        if (!state) return;
+
+        clearTimeout(state.hideTimer);
+        state.drawer.remove();
+        state.clips.remove();
+        delete this.sides[side];
+    }
+
+    /**
+     * Drop zone (0-31) for a viewport y coordinate
+     */
+    getDropZone(y) {
+        const zoneHeight = this.getUsableHeight() / CLIP_ZONES;
+        return Math.max(0, Math.min(CLIP_ZONES - 1, Math.floor((y - CLIP_TOP_MARGIN) / zoneHeight)));
+    }
+
+    getUsableHeight() {
+        return Math.max(CLIP_ZONES, window.innerHeight - CLIP_TOP_MARGIN - CLIP_BOTTOM_MARGIN);
+    }
+
+    /**
+     * Centre of a clip in viewport coordinates
+     */
+    getClipPosition(clip) {
+        const x = this.options.drawerWidth / 2 + this.options.bumpPeekDistance;
+        return {
+            x: clip.side === 'left' ? x : window.innerWidth - x,
+            y: CLIP_TOP_MARGIN + clip.dropZone * (this.getUsableHeight() / CLIP_ZONES)
+        };
+    }
+
+    drop(e, side) {
+        const dropZone = this.getDropZone(e.clientY);
+
+        // A clip dragged from a drawer moves instead of being copied
+        if (this.dragging) {
+            this.dragging.handled = true;
+            this.moveClip(this.dragging.clip.id, side, dropZone);
+            return;
+        }
+
+        this.readTransfer(e.dataTransfer).then(content => {
+            if (content) this.addClip(content, { side, dropZone });
+        });
+    }
+
+    /**
+     * Paste into the drawer that's open (or focused) at the pointer's zone.
+     * Pastes into text fields elsewhere on the page are left alone.
+     */
+    paste(e) {
+        const target = e.target;
+        const inDrawer = this.layer.contains(target);
+        const editable = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+        if (!inDrawer && editable) return;
+
+        const side = CLIP_SIDES.find(name => {
+            const state = this.sides[name];
+            return state && (inDrawer ? state.drawer.contains(target) || state.clips.contains(target) : state.drawerVisible);
+        });
+        if (!side) return;
+
+        e.preventDefault();
+        const dropZone = this.pointer ? this.getDropZone(this.pointer.y) : 0;
+        this.readTransfer(e.clipboardData).then(content => {
+            if (content) this.addClip(content, { side, dropZone, source: window.location.href });
+        });
+    }
+
+    // Visibility and zoom
+
+    /**
+     * Open the drawers the pointer is near (or near one of their clips) and
+     * let the others close, then zoom the clips
+     */
+    update() {
+        if (!this.pointer) return;
+
+        const width = window.innerWidth;
+        CLIP_SIDES.forEach(side => {
+            const state = this.sides[side];
+            if (!state) return;
+
+            const edgeZone = state.drawerVisible ? CLIP_EXPANDED_EDGE_ZONE : width * this.options.edgeSensitivity;
+            const nearEdge = side === 'left' ? this.pointer.x <= edgeZone : this.pointer.x >= width - edgeZone;
+            const nearClips = this.getClips(side).some(clip => this.getDistance(clip) <= this.options.zoomRadiusVisible);
+
+            if (nearEdge || nearClips) {
+                this.setVisible(side, true);
+            } else if (state.drawerVisible || state.clipsVisible) {
+                state.drawerVisible = false;
+                this.updateDrawer(side);
+                if (state.clipsVisible) this.scheduleHide(side);
+            }
+        });
+
+        this.updateZoom();
+    }
+
+    setVisible(side, visible) {
+        const state = this.sides[side];
+        if (!state) return;
+
+        clearTimeout(state.hideTimer);
+        state.hideTimer = null;
+        state.drawerVisible = visible;
+        state.clipsVisible = visible;
+        this.updateDrawer(side);
+    }
+
+    // Clips fade autoHideDelay seconds after the pointer leaves, not when it does
+    scheduleHide(side) {
+        const state = this.sides[side];
+        if (!state || state.hideTimer) return;
+
+        state.hideTimer = setTimeout(() => {
+            state.hideTimer = null;
+            if (state.drawer.contains(document.activeElement) || state.clips.contains(document.activeElement)) return;
+            state.drawerVisible = false;
+            state.clipsVisible = false;
+            this.updateDrawer(side);
+        }, this.options.autoHideDelay * 1000);
+    }
+
+    updateDrawer(side) {
+        const state = this.sides[side];
+        const { drawerWidth, peekWidth, slideOutDistance } = this.options;
+        const shown = state.drawerVisible ? slideOutDistance : peekWidth;
+        const offset = side === 'left' ? shown - drawerWidth : drawerWidth - shown;
+
+        state.drawer.style.width = `${drawerWidth}px`;
+        state.drawer.style.transform = `translateX(${offset}px)`;
+        state.drawer.classList.toggle('brainfish-clip-drawer-open', state.drawerVisible);
+        state.clips.classList.toggle('brainfish-clip-list-visible', state.clipsVisible);
+    }
+
+    getDistance(clip) {
+        if (!this.pointer) return Infinity;
+
+        const position = this.getClipPosition(clip);
+        return Math.hypot(this.pointer.x - position.x, this.pointer.y - position.y);
+    }
+
+    /**
+     * Dock-style zoom: zoomMax on top of the clip, falling off with distance
+     * to zoomMin at zoomRadiusVisible
+     */
+    getZoom(distance) {
+        const { zoomMin, zoomMax, zoomRadiusHidden, zoomRadiusVisible, zoomPower } = this.options;
+        if (distance > zoomRadiusVisible) return zoomMin;
+
+        const falloff = 1 / (1 + Math.pow(distance / zoomRadiusHidden, zoomPower));
+        return zoomMin + (zoomMax - zoomMin) * falloff;
+    }
+
+    updateZoom() {
+        CLIP_SIDES.forEach(side => {
+            const state = this.sides[side];
+            if (!state) return;
+
+            Array.from(state.clips.children).forEach(element => {
+                const clip = this.clips.find(item => item.id === element.dataset.clipId);
+                if (clip) element.style.setProperty('--brainfish-clip-scale', this.getZoom(this.getDistance(clip)).toFixed(3));
+            });
+        });
+    }
+
+    // Clip elements
+
+    renderClips() {
+        if (!this.layer) return;
+
+        CLIP_SIDES.forEach(side => {
+            const state = this.sides[side];
+            if (!state) return;
+
+            state.clips.replaceChildren(...this.getClips(side).map(clip => this.createClipElement(clip)));
+        });
+        this.layout();
+    }
+
+    layout() {
+        CLIP_SIDES.forEach(side => {
+            const state = this.sides[side];
+            if (!state) return;
+
+            Array.from(state.clips.children).forEach(element => {
+                const clip = this.clips.find(item => item.id === element.dataset.clipId);
+                if (!clip) return;
+
+                const position = this.getClipPosition(clip);
+                element.style.left = `${position.x}px`;
+                element.style.top = `${position.y}px`;
+            });
+        });
+        this.updateZoom();
+    }
+
+    createClipElement(clip) {
+        const element = createDrawerElement('div', 'brainfish-clip', {
+            'data-clip-id': clip.id,
+            'data-side': clip.side,
+            'data-type': clip.type,
+            draggable: 'true',
+            tabindex: '0',
+            role: 'listitem',
+            'aria-label': `${clip.type === 'url' ? 'Link' : clip.type === 'image' ? 'Image' : 'Text'}: ${BrainFishClipDrawer.getFullText(clip)}. Enter copies, Delete removes`
+        });
+        element.style.maxWidth = `${this.options.bumpHeight}px`;
+
+        if (clip.type === 'image') {
+            const image = createDrawerElement('img', null, { src: clip.value, alt: '' });
+            element.appendChild(image);
+        } else {
+            if (clip.type === 'url' && this.options.showIcons) {
+                const icon = createDrawerElement('img', 'brainfish-clip-icon', {
+                    src: new URL('/favicon.ico', clip.value).href,
+                    alt: '',
+                    referrerpolicy: 'no-referrer'
+                });
+                icon.addEventListener('error', () => icon.remove());
+                element.appendChild(icon);
+            }
+            const text = createDrawerElement('span');
+            text.textContent = clip.preview;
+            element.appendChild(text);
+        }
+
+        element.addEventListener('dragstart', (e) => {
+            this.hidePreview();
+            // Alt inverts deleteOnDragOut, like the modifier key on macOS
+            this.dragging = { clip, keep: e.altKey, handled: false };
+            this.setTransferData(e.dataTransfer, clip);
+            this.deleteZone.hidden = false;
+        });
+        element.addEventListener('dragend', (e) => {
+            const drag = this.dragging;
+            this.dragging = null;
+            this.deleteZone.hidden = true;
+            this.deleteZone.classList.remove('brainfish-clip-delete-targeted');
+            if (!drag || drag.handled || e.dataTransfer.dropEffect === 'none') return;
+
+            // Dropped somewhere outside the drawers
+            if (this.options.deleteOnDragOut !== drag.keep) this.removeClip(clip.id);
+        });
+
+        element.addEventListener('pointerenter', () => {
+            clearTimeout(this.previewTimer);
+            this.previewTimer = setTimeout(() => this.showPreview(clip), CLIP_PREVIEW_DELAY);
+        });
+        element.addEventListener('pointerleave', () => this.hidePreview());
+
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                const next = element.nextElementSibling || element.previousElementSibling;
+                this.removeClip(clip.id);
+                const focusTarget = next && this.layer.querySelector(`[data-clip-id="${next.dataset.clipId}"]`);
+                (focusTarget || this.sides[clip.side].drawer).focus();
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.copyClip(clip);
+            }
+        });
+
+        return element;
+    }
+
+    setTransferData(transfer, clip) {
+        transfer.effectAllowed = 'copyMove';
+        transfer.setData(CLIP_DRAG_TYPE, clip.id);
+
+        if (clip.type === 'image') {
+            transfer.setData('text/uri-list', clip.value);
+            transfer.setData('text/html', `<img src="${clip.value.replace(/"/g, '&quot;')}">`);
+        } else {
+            if (clip.type === 'url') transfer.setData('text/uri-list', clip.value);
+            transfer.setData('text/plain', clip.value);
+        }
+    }
+
+    /**
+     * Put a clip on the system clipboard
+     */
+    copyClip(clip) {
+        if (!navigator.clipboard) return Promise.resolve(false);
+
+        const copy = clip.type === 'image' && typeof ClipboardItem !== 'undefined'
+            ? fetch(clip.value)
+                .then(response => response.blob())
+                .then(blob => navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]))
+            : navigator.clipboard.writeText(BrainFishClipDrawer.getFullText(clip));
+
+        return copy.then(() => true).catch((error) => {
+            console.warn('BrainFish: could not copy the clip', error);
+            return false;
+        });
+    }
+
+    showPreview(clip) {
+        const element = this.layer.querySelector(`[data-clip-id="${clip.id}"]`);
+        if (!element) return;
+
+        if (clip.type === 'image') {
+            this.preview.replaceChildren(createDrawerElement('img', null, { src: clip.value, alt: '' }));
+        } else {
+            this.preview.textContent = clip.value;
+        }
+
+        const position = this.getClipPosition(clip);
+        this.preview.style.top = `${position.y}px`;
+        this.preview.style.left = clip.side === 'left' ? `${position.x + 60}px` : '';
+        this.preview.style.right = clip.side === 'right' ? `${window.innerWidth - position.x + 60}px` : '';
+        this.preview.hidden = false;
+    }
+
+    hidePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = null;
+        if (this.preview) this.preview.hidden = true;
+    }
+
+    /**
+     * Change options on mounted drawers, e.g. { right: true } or { autoHideDelay: 2 }
+     */
+    setOptions(partial = {}) {
+        Object.assign(this.options, partial);
+        if (!this.layer) return this;
+
+        if (partial.storageKey !== undefined) this.clips = this.load();
+        if (partial.fontSize !== undefined) {
+            this.layer.style.setProperty('--brainfish-clip-font-size', `${this.options.fontSize}px`);
+        }
+
+        CLIP_SIDES.forEach(side => {
+            if (this.options[side] && !this.sides[side]) {
+                this.createDrawer(side);
+            } else if (!this.options[side] && this.sides[side]) {
+                this.removeDrawer(side);
+            } else if (this.sides[side]) {
+                this.updateDrawer(side);
+            }
+        });
+        this.renderClips();
+        return this;
+    }
+
+    destroy() {
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('dragover', this.handlePointerMove);
+        document.removeEventListener('paste', this.handlePaste);
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('storage', this.handleStorage);
+
+        this.hidePreview();
+        CLIP_SIDES.forEach(side => this.removeDrawer(side));
+        if (this.layer) {
+            this.layer.remove();
+            this.layer = null;
+        }
+        this.deleteZone = null;
+        this.preview = null;
+        this.dragging = null;
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishClipDrawer;
+}
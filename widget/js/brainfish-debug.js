@@ -0,0 +1,177 @@
+/**
+ * BrainFish Debug Overlay - visualises avoidance and motion for tuning
+ *
+ * The web counterpart of the macOS DEBUG_FISH_AVOIDANCE flag. Draws on its
+ * own canvas above the widget, so it works with either renderer:
+ *   - each fish's wave path
+ *   - red ellipse: base detection area, blue ellipse: extended detection area
+ *   - red dots: cursor and touch positions
+ *   - black label: current speed in px/s
+ *   - frame-time stats for the last second of frames
+ */
+
+const DEBUG_STATS_FRAMES = 60;
+const DEBUG_PATH_STEP = 8; // px between path curve points
+
+class BrainFishDebugOverlay {
+    constructor(widget) {
+        this.widget = widget;
+        this.canvas = null;
+        this.ctx = null;
+        this.pixelRatio = 1;
+
+        // Ring buffers of frame intervals and update times in ms
+        this.frameTimes = [];
+        this.updateTimes = [];
+    }
+
+    mount() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'brainfish-debug-layer';
+        document.body.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+    }
+
+    /**
+     * Record one animation frame: time since the previous frame and time
+     * spent updating and rendering the fish
+     */
+    recordFrame(frameTime, updateTime) {
+        this.frameTimes.push(frameTime);
+        this.updateTimes.push(updateTime);
+        if (this.frameTimes.length > DEBUG_STATS_FRAMES) {
+            this.frameTimes.shift();
+            this.updateTimes.shift();
+        }
+    }
+
+    getStats() {
+        const average = values => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+        const frame = average(this.frameTimes);
+
+        return {
+            fps: frame > 0 ? 1000 / frame : 0,
+            frame: frame,
+            maxFrame: Math.max(0, ...this.frameTimes),
+            update: average(this.updateTimes)
+        };
+    }
+
+    resize() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const width = Math.round(window.innerWidth * pixelRatio);
+        const height = Math.round(window.innerHeight * pixelRatio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.pixelRatio = pixelRatio;
+    }
+
+    draw() {
+        this.resize();
+
+        const ctx = this.ctx;
+        const widget = this.widget;
+        const simulation = widget.simulation;
+        const origin = widget.containerRect;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Simulation coordinates are relative to the widget container
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, origin.left * this.pixelRatio, origin.top * this.pixelRatio);
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'middle';
+
+        widget.fishList.concat(widget.leavingFish).forEach(fish => {
+            this.drawPath(fish, origin.width);
+
+            const zone = simulation.detectionZone(fish, fish.advances || fish.text.length, widget.getFishFontSize(fish));
+            const centerX = simulation.toScreenX(zone.centerX);
+            this.drawEllipse(centerX, zone.centerY, zone.baseRadiusX, zone.baseRadiusY, 'rgba(255, 59, 48, 0.9)');
+            this.drawEllipse(centerX, zone.centerY, zone.radiusX, zone.radiusY,
+                fish.isAvoiding ? 'rgba(0, 122, 255, 1)' : 'rgba(0, 122, 255, 0.5)');
+
+            this.drawLabel(`${Math.round(fish.currentSpeed)} px/s`, centerX, zone.centerY - zone.radiusY - 10);
+        });
+
+        // Pointer dots (pointer coordinates are relative to the viewport)
+        ctx.fillStyle = '#FF3B30';
+        widget.pointers.forEach(pointer => {
+            ctx.beginPath();
+            ctx.arc(pointer.x - origin.left, pointer.y - origin.top, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        this.drawStats();
+    }
+
+    drawPath(fish, width) {
+        const ctx = this.ctx;
+        const simulation = this.widget.simulation;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x += DEBUG_PATH_STEP) {
+            const y = simulation.pathY(fish, simulation.toScreenX(x));
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+
+    drawEllipse(x, y, radiusX, radiusY, color) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.ellipse(x, y, radiusX, radiusY, 0, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    drawLabel(text, x, y) {
+        const ctx = this.ctx;
+        const width = ctx.measureText(text).width + 8;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(x - width / 2, y - 8, width, 16);
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, x, y);
+        ctx.textAlign = 'left';
+    }
+
+    drawStats() {
+        const ctx = this.ctx;
+        const stats = this.getStats();
+        const lines = [
+            `${stats.fps.toFixed(0)} fps  frame ${stats.frame.toFixed(1)}ms (max ${stats.maxFrame.toFixed(1)}ms)`,
+            `update ${stats.update.toFixed(2)}ms  fish ${this.widget.fishList.length}  speed ${this.widget.speed}px/s`
+        ];
+
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(8, window.innerHeight - 48, 330, 40);
+        ctx.fillStyle = '#fff';
+        lines.forEach((line, i) => ctx.fillText(line, 14, window.innerHeight - 38 + i * 18));
+    }
+
+    destroy() {
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+        this.frameTimes = [];
+        this.updateTimes = [];
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishDebugOverlay;
+}
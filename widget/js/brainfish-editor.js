@@ -0,0 +1,446 @@
+/**
+ * BrainFish Editor - task editor panel for the v2 widget
+ *
+ * The web counterpart of the macOS TaskListView and SettingsView: a panel
+ * for adding, renaming, reordering (drag the handle, or Alt+Up/Down),
+ * completing and deleting tasks, setting due dates and priorities, and
+ * changing the widget's settings. Every change goes through the widget's
+ * task API and setOptions, so storage, sync and events work as usual.
+ *
+ * Shown with widget.showEditor() or the editor shortcut (Alt+Shift+T with
+ * editor: true). Styled by brainfish-widget-v2.css.
+ */
+
+const EDITOR_MAX_TITLE_LENGTH = 100; // FishConstants.maxTaskTitleLength on macOS
+
+// Settings section: option name -> control, applied with widget.setOptions
+const EDITOR_SETTINGS = [
+    { name: 'theme', label: 'Theme', type: 'select' },
+    { name: 'fontSize', label: 'Font size', type: 'range', min: 10, max: 40, step: 1 },
+    { name: 'speed', label: 'Speed', type: 'range', min: 30, max: 300, step: 10 },
+    { name: 'prioritySpread', label: 'Priority spread', type: 'range', min: 0, max: 200, step: 10 },
+    { name: 'avoidMouse', label: 'Swim away from the cursor', type: 'checkbox' },
+    { name: 'completedFish', label: 'Completed tasks', type: 'select', choices: { remove: 'Hide', dim: 'Dim' } },
+    { name: 'sleepInterval', label: 'Sleep every (minutes, 0 = never)', type: 'number', min: 0, max: 60 },
+    { name: 'sleepDuration', label: 'Sleep for (minutes)', type: 'number', min: 1, max: 60 }
+];
+
+function createElement(tag, className, attributes = {}) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+    return element;
+}
+
+/**
+ * Date to the local "YYYY-MM-DDTHH:MM" value of a datetime-local input
+ */
+function toInputDate(date) {
+    if (!date) return '';
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+class BrainFishEditor {
+    constructor(widget) {
+        this.widget = widget;
+        this.root = null;
+        this.panel = null;
+        this.list = null;
+        this.rows = new Map(); // Task ID -> { row, checkbox, title, due, priority, time }
+        this.settings = new Map(); // Option name -> input
+        this.returnFocus = null;
+        this.dragId = null;
+        this.timeTimer = null;
+        this.pomodoroRows = false; // Whether the rows were built with the Pomodoro timer column
+
+        this.handleTasksChange = () => this.render();
+    }
+
+    get isOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    /**
+     * Build the panel next to the widget, inside its shadow root when it has one
+     */
+    mount() {
+        const rootNode = this.widget.container.getRootNode();
+        this.root = rootNode.host ? rootNode : document;
+
+        // A non-modal panel: the page stays usable while it's open
+        this.panel = createElement('section', 'brainfish-editor', { 'aria-label': 'Task editor' });
+        this.panel.hidden = true;
+
+        const header = createElement('header', 'brainfish-editor-header');
+        const heading = createElement('h2');
+        heading.textContent = 'Task List';
+        const close = createElement('button', 'brainfish-editor-close', { type: 'button', 'aria-label': 'Close' });
+        close.textContent = '×';
+        close.addEventListener('click', () => this.hide());
+        header.append(heading, close);
+
+        this.list = createElement('ol', 'brainfish-editor-list', { 'aria-label': 'Tasks' });
+
+        const form = createElement('form', 'brainfish-editor-add');
+        this.newTitle = createElement('input', null, {
+            type: 'text', placeholder: 'New Task', 'aria-label': 'New task', maxlength: EDITOR_MAX_TITLE_LENGTH, dir: 'auto'
+        });
+        const add = createElement('button', null, { type: 'submit' });
+        add.textContent = 'Add';
+        form.append(this.newTitle, add);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const title = this.newTitle.value.trim();
+            if (!title) return;
+            this.widget.addTask(title);
+            this.newTitle.value = '';
+            this.renderPreview();
+        });
+
+        // With quickAdd on, show what the new task will be as it's typed
+        this.preview = createElement('p', 'brainfish-editor-preview', { 'aria-live': 'polite', dir: 'auto' });
+        this.preview.hidden = true;
+        this.newTitle.addEventListener('input', () => this.renderPreview());
+
+        this.panel.append(header, this.list, form, this.preview, this.createSettings());
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.hide();
+            }
+        });
+
+        (this.root === document ? document.body : this.root).appendChild(this.panel);
+        this.widget.on('tasksChange', this.handleTasksChange);
+    }
+
+    show() {
+        if (!this.panel) this.mount();
+        if (this.isOpen) return;
+
+        this.returnFocus = this.root.activeElement;
+        this.panel.hidden = false;
+        this.render();
+        this.renderSettings();
+        this.newTitle.focus();
+    }
+
+    hide() {
+        if (!this.isOpen) return;
+
+        this.panel.hidden = true;
+        clearInterval(this.timeTimer);
+        this.timeTimer = null;
+
+        if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    renderPreview() {
+        const text = this.newTitle.value.trim();
+        const parsed = this.widget.quickAdd && text ? this.widget.parseTask(text) : null;
+        if (!parsed || parsed.matches.length === 0) {
+            this.preview.hidden = true;
+            return;
+        }
+
+        const parts = [`“${parsed.title}”`];
+        if (parsed.dueDate) {
+            parts.push('Due ' + parsed.dueDate.toLocaleString(undefined, {
+                weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            }));
+        }
+        if (parsed.priority) parts.push(`${parsed.priority[0].toUpperCase()}${parsed.priority.slice(1)} priority`);
+        if (parsed.remainingTime) parts.push(`🍅 ${this.widget.constructor.formatTime(parsed.remainingTime)}`);
+
+        this.preview.textContent = parts.join(' · ');
+        this.preview.hidden = false;
+    }
+
+    // Task list
+
+    /**
+     * Bring the rows in line with the widget's tasks. Rows are updated in
+     * place, and a field that's being edited keeps its value and focus.
+     */
+    render() {
+        if (!this.isOpen) return;
+
+        // The timer column is built with each row, so rebuild them all when Pomodoro mode changes
+        if (this.pomodoroRows !== this.widget.pomodoroMode) {
+            this.rows.forEach(entry => entry.row.remove());
+            this.rows.clear();
+            this.pomodoroRows = this.widget.pomodoroMode;
+        }
+
+        // Pomodoro countdowns aren't task changes, so refresh them while open
+        if (this.pomodoroRows && !this.timeTimer) {
+            this.timeTimer = setInterval(() => this.renderTimes(), 1000);
+        } else if (!this.pomodoroRows && this.timeTimer) {
+            clearInterval(this.timeTimer);
+            this.timeTimer = null;
+        }
+
+        const tasks = this.widget.tasks;
+        const ids = new Set(tasks.map(task => task.id));
+
+        this.rows.forEach((entry, id) => {
+            if (!ids.has(id)) {
+                entry.row.remove();
+                this.rows.delete(id);
+            }
+        });
+
+        tasks.forEach((task, index) => {
+            let entry = this.rows.get(task.id);
+            if (!entry) {
+                entry = this.createRow(task.id);
+                this.rows.set(task.id, entry);
+            }
+            this.updateRow(entry, task);
+
+            if (this.list.children[index] !== entry.row) {
+                this.list.insertBefore(entry.row, this.list.children[index] || null);
+            }
+        });
+    }
+
+    createRow(id) {
+        const row = createElement('li', 'brainfish-editor-task');
+        row.dataset.taskId = id;
+
+        const handle = createElement('span', 'brainfish-editor-handle', {
+            draggable: 'true', title: 'Drag to reorder (or Alt+Up/Down)', 'aria-hidden': 'true'
+        });
+        handle.textContent = '☰';
+
+        const checkbox = createElement('input', null, { type: 'checkbox' });
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.widget.completeTask(id);
+            } else {
+                this.widget.updateTask(id, { completed: false });
+            }
+        });
+
+        const title = createElement('input', 'brainfish-editor-title', {
+            type: 'text', 'aria-label': 'Title', maxlength: EDITOR_MAX_TITLE_LENGTH, dir: 'auto'
+        });
+        title.addEventListener('change', () => {
+            const value = title.value.trim();
+            const task = this.widget.getTask(id);
+            if (!value) {
+                title.value = task ? task.title : '';
+            } else if (task && value !== task.title) {
+                this.widget.updateTask(id, { title: value });
+            }
+        });
+        title.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') title.blur();
+        });
+
+        const due = createElement('input', 'brainfish-editor-due', { type: 'datetime-local', 'aria-label': 'Due date' });
+        due.addEventListener('change', () => {
+            this.widget.updateTask(id, { dueDate: due.value ? new Date(due.value) : null });
+        });
+
+        const priority = createElement('select', 'brainfish-editor-priority', { 'aria-label': 'Priority' });
+        [['', 'Priority'], ['high', 'High'], ['normal', 'Normal'], ['low', 'Low']].forEach(([value, label]) => {
+            const option = createElement('option', null, { value: value });
+            option.textContent = label;
+            priority.appendChild(option);
+        });
+        priority.addEventListener('change', () => {
+            this.widget.updateTask(id, { priority: priority.value || null });
+        });
+
+        const remove = createElement('button', 'brainfish-editor-delete', { type: 'button', 'aria-label': 'Delete' });
+        remove.textContent = '🗑';
+        remove.addEventListener('click', () => this.widget.removeTask(id));
+
+        row.append(handle, checkbox, title, due, priority);
+
+        // Pomodoro mode: time left, and the macOS 🍅 button to reset it
+        let time = null;
+        if (this.pomodoroRows) {
+            const reset = createElement('button', 'brainfish-editor-reset', { type: 'button', 'aria-label': 'Reset timer' });
+            reset.textContent = '🍅';
+            reset.addEventListener('click', () => this.widget.updateTask(id, { remainingTime: this.widget.pomodoroTime }));
+            time = createElement('span', 'brainfish-editor-time');
+            row.append(reset, time);
+        }
+        row.append(remove);
+
+        this.setupReorder(row, handle, id);
+        return { row: row, checkbox: checkbox, title: title, due: due, priority: priority, remove: remove, time: time };
+    }
+
+    updateRow(entry, task) {
+        const focused = this.root.activeElement;
+        const label = task.title || 'task';
+
+        entry.row.classList.toggle('brainfish-editor-completed', task.completed);
+        entry.checkbox.checked = task.completed;
+        entry.checkbox.setAttribute('aria-label', `Complete ${label}`);
+        entry.remove.setAttribute('aria-label', `Delete ${label}`);
+        if (entry.title !== focused) entry.title.value = task.title;
+        if (entry.due !== focused) entry.due.value = toInputDate(task.dueDate);
+        entry.priority.value = task.priority || '';
+        if (entry.time) entry.time.textContent = this.widget.constructor.formatTime(this.widget.getRemainingTime(task));
+    }
+
+    renderTimes() {
+        this.rows.forEach((entry, id) => {
+            const task = this.widget.getTask(id);
+            if (task && entry.time) entry.time.textContent = this.widget.constructor.formatTime(this.widget.getRemainingTime(task));
+        });
+    }
+
+    /**
+     * Drag a row by its handle onto another row, or press Alt+Up/Down inside it
+     */
+    setupReorder(row, handle, id) {
+        handle.addEventListener('dragstart', (e) => {
+            this.dragId = id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', id);
+            e.dataTransfer.setDragImage(row, 10, 10);
+        });
+        handle.addEventListener('dragend', () => {
+            this.dragId = null;
+            this.rows.forEach(entry => entry.row.classList.remove('brainfish-editor-drop-target'));
+        });
+        row.addEventListener('dragover', (e) => {
+            if (!this.dragId) return;
+            e.preventDefault();
+            row.classList.toggle('brainfish-editor-drop-target', this.dragId !== id);
+        });
+        row.addEventListener('dragleave', () => row.classList.remove('brainfish-editor-drop-target'));
+        row.addEventListener('drop', (e) => {
+            if (!this.dragId) return;
+            e.preventDefault();
+            row.classList.remove('brainfish-editor-drop-target');
+            this.moveTask(this.dragId, this.widget.tasks.findIndex(task => task.id === id));
+        });
+
+        row.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            e.preventDefault();
+            const index = this.widget.tasks.findIndex(task => task.id === id);
+            this.moveTask(id, index + (e.key === 'ArrowUp' ? -1 : 1));
+        });
+    }
+
+    moveTask(id, toIndex) {
+        const ids = this.widget.tasks.map(task => task.id);
+        const fromIndex = ids.indexOf(id);
+        if (fromIndex === -1 || toIndex < 0 || toIndex >= ids.length || toIndex === fromIndex) return;
+
+        ids.splice(fromIndex, 1);
+        ids.splice(toIndex, 0, id);
+
+        // Moving the row drops focus, so put it back on the same field
+        const focused = this.root.activeElement;
+        this.widget.reorderTasks(ids);
+        if (focused && focused !== this.root.activeElement && focused.focus) focused.focus();
+    }
+
+    // Settings
+
+    createSettings() {
+        const details = createElement('details', 'brainfish-editor-settings');
+        const summary = createElement('summary');
+        summary.textContent = 'Settings';
+        details.appendChild(summary);
+
+        EDITOR_SETTINGS.forEach(setting => {
+            const label = createElement('label');
+            const text = createElement('span');
+            text.textContent = setting.label;
+
+            let input;
+            if (setting.type === 'select') {
+                input = createElement('select');
+                const choices = setting.choices || this.getThemeChoices();
+                Object.keys(choices).forEach(value => {
+                    const option = createElement('option', null, { value: value });
+                    option.textContent = choices[value];
+                    input.appendChild(option);
+                });
+            } else {
+                input = createElement('input', null, { type: setting.type });
+                ['min', 'max', 'step'].forEach(name => {
+                    if (setting[name] !== undefined) input.setAttribute(name, setting[name]);
+                });
+            }
+
+            input.addEventListener(setting.type === 'range' ? 'input' : 'change', () => {
+                this.widget.setOptions({ [setting.name]: this.readSetting(setting, input) });
+            });
+
+            if (setting.type === 'checkbox') {
+                label.append(input, text);
+            } else {
+                label.append(text, input);
+            }
+            details.appendChild(label);
+            this.settings.set(setting.name, input);
+        });
+
+        return details;
+    }
+
+    getThemeChoices() {
+        const choices = {};
+        this.widget.constructor.getThemeNames().forEach(name => {
+            choices[name] = name.charAt(0).toUpperCase() + name.slice(1);
+        });
+        return choices;
+    }
+
+    readSetting(setting, input) {
+        if (setting.type === 'checkbox') return input.checked;
+        if (setting.type === 'range' || setting.type === 'number') return Number(input.value);
+        return input.value;
+    }
+
+    renderSettings() {
+        EDITOR_SETTINGS.forEach(setting => {
+            const input = this.settings.get(setting.name);
+            const value = this.widget[setting.name];
+
+            if (setting.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else if (setting.name === 'theme' && typeof value !== 'string') {
+                input.value = ''; // Inline theme object, not in the list
+            } else {
+                input.value = value === null || value === undefined ? 0 : value;
+            }
+        });
+    }
+
+    destroy() {
+        this.hide();
+        this.widget.off('tasksChange', this.handleTasksChange);
+        if (this.panel) {
+            this.panel.remove();
+            this.panel = null;
+        }
+        this.rows.clear();
+        this.settings.clear();
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishEditor;
+}
@@ -0,0 +1,220 @@
+/**
+ * BrainFish Element - <brain-fish> custom element wrapping the v2 widget
+ *
+ * The widget is mounted inside a Shadow DOM, so the host page's CSS can't
+ * reach `.brainfish`, `.fish-part` or `.fish-letter` and the widget's styles
+ * don't leak out. The stylesheet is resolved relative to this script
+ * (../css/brainfish-widget-v2.css), which in turn resolves the sprite
+ * relative to itself; both can be overridden with attributes.
+ *
+ *   <brain-fish theme="blue" speed="90" font-size="18"></brain-fish>
+ *   document.querySelector('brain-fish').tasks = ['Write report'];
+ *
+ * Attributes: theme, speed, font-size, stylesheet, sprite-url
+ * Properties: tasks, options (any other BrainFishWidget option), widget
+ * Widget events are re-dispatched on the element as DOM events with the
+ * same names and the payload in `event.detail`.
+ */
+
+const ELEMENT_SCRIPT_SRC = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : '';
+
+const ELEMENT_EVENTS = [
+    'taskClick', 'taskComplete', 'tasksChange', 'taskSwipe', 'taskSnooze', 'taskOverdue',
+    'syncStart', 'syncEnd', 'syncError',
+    'pomodoroStart', 'pomodoroEnd', 'breakStart', 'breakEnd',
+    'sleep', 'wake', 'clipsChange', 'clipsError'
+];
+
+const ELEMENT_STYLES = `
+    :host {
+        display: block;
+        position: relative;
+        height: 250px;
+        pointer-events: none;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    .brainfish-lane {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+    }
+`;
+
+const ElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+class BrainFishElement extends ElementBase {
+    static get observedAttributes() {
+        return ['theme', 'speed', 'font-size', 'stylesheet', 'sprite-url'];
+    }
+
+    static defaultStylesheetUrl() {
+        try {
+            return new URL('../css/brainfish-widget-v2.css', ELEMENT_SCRIPT_SRC || window.location.href).href;
+        } catch (error) {
+            return 'css/brainfish-widget-v2.css';
+        }
+    }
+
+    /**
+     * The widget class: a global from its own <script> tag in the browser, or
+     * the sibling file under Node
+     */
+    static getWidgetClass() {
+        if (typeof BrainFishWidget !== 'undefined') return BrainFishWidget;
+        if (typeof require === 'function') return require('./brainfish-widget-v2');
+        throw new Error('BrainFish: brainfish-widget-v2.js must be loaded before the <brain-fish> element is created');
+    }
+
+    constructor() {
+        super();
+        this.widget = null;
+        this.pendingTasks = null;
+        this.extraOptions = {};
+
+        this.attachShadow({ mode: 'open' });
+        this.shadowRoot.innerHTML = `<style>${ELEMENT_STYLES}</style><link rel="stylesheet"><div class="brainfish-lane"></div>`;
+        this.stylesheet = this.shadowRoot.querySelector('link');
+        this.lane = this.shadowRoot.querySelector('.brainfish-lane');
+        this.updateStylesheet();
+    }
+
+    connectedCallback() {
+        this.createWidget();
+    }
+
+    disconnectedCallback() {
+        // Keep the tasks in case the element is moved rather than removed
+        if (this.widget) {
+            this.pendingTasks = this.widget.tasks;
+        }
+        this.destroyWidget();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+
+        if (name === 'stylesheet') {
+            this.updateStylesheet();
+        } else if (name === 'sprite-url') {
+            this.recreateWidget();
+        } else if (this.widget) {
+            this.widget.setOptions({ theme: this.theme, speed: this.speed, fontSize: this.fontSize });
+        }
+    }
+
+    // Reflected attributes
+
+    get theme() {
+        return this.getAttribute('theme') || 'red';
+    }
+
+    set theme(value) {
+        this.setAttribute('theme', value);
+    }
+
+    get speed() {
+        return this.hasAttribute('speed') ? Number(this.getAttribute('speed')) : 120;
+    }
+
+    set speed(value) {
+        this.setAttribute('speed', String(value));
+    }
+
+    get fontSize() {
+        return this.hasAttribute('font-size') ? Number(this.getAttribute('font-size')) : 16;
+    }
+
+    set fontSize(value) {
+        this.setAttribute('font-size', String(value));
+    }
+
+    // Tasks and other options
+
+    get tasks() {
+        if (this.widget) return this.widget.tasks;
+        return this.pendingTasks || [];
+    }
+
+    set tasks(value) {
+        if (this.widget) {
+            this.widget.replaceTasks(value || []);
+        } else {
+            this.pendingTasks = value || [];
+        }
+    }
+
+    get options() {
+        return this.extraOptions;
+    }
+
+    set options(value) {
+        this.extraOptions = value || {};
+        this.recreateWidget();
+    }
+
+    getWidgetOptions() {
+        const options = {
+            ...this.extraOptions,
+            theme: this.theme,
+            speed: this.speed,
+            fontSize: this.fontSize,
+            target: this.lane
+        };
+        if (this.hasAttribute('sprite-url')) options.spriteUrl = this.getAttribute('sprite-url');
+        if (this.pendingTasks) options.tasks = this.pendingTasks;
+        return options;
+    }
+
+    updateStylesheet() {
+        this.stylesheet.href = this.getAttribute('stylesheet') || BrainFishElement.defaultStylesheetUrl();
+    }
+
+    createWidget() {
+        if (this.widget || !this.isConnected) return;
+
+        this.widget = new (BrainFishElement.getWidgetClass())(this.getWidgetOptions());
+        this.pendingTasks = null;
+
+        // Composed, so the events also reach listeners outside a shadow root the element sits in
+        ELEMENT_EVENTS.forEach(type => {
+            this.widget.on(type, detail => {
+                this.dispatchEvent(new CustomEvent(type, { detail: detail, composed: true }));
+            });
+        });
+    }
+
+    destroyWidget() {
+        if (!this.widget) return;
+        this.widget.destroy();
+        this.widget = null;
+    }
+
+    /**
+     * Apply options that can't change live by rebuilding the widget with the
+     * current tasks
+     */
+    recreateWidget() {
+        if (!this.widget) return;
+
+        this.pendingTasks = this.widget.tasks;
+        this.destroyWidget();
+        this.createWidget();
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('brain-fish')) {
+    customElements.define('brain-fish', BrainFishElement);
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishElement;
+}
@@ -0,0 +1,443 @@
+/**
+ * BrainFish Formats - task import and export for the v2 widget
+ *
+ * Three text formats, all keeping title, notes, due date, completion and ID:
+ *   - 'json': an array in the macOS Task Codable format (see README), with
+ *     dates as seconds since 2001-01-01 like Swift's default JSONEncoder and
+ *     the task ID as reminderID
+ *   - 'ics': iCalendar VTODO components, as used by Reminders and most to-do apps
+ *   - 'markdown': a checklist (`- [ ] title`), with the ID and due date in a
+ *     trailing HTML comment and notes as indented lines below the item
+ *
+ * Parsers return partial task objects holding only the fields the format
+ * can express, ready for BrainFishWidget.normalizeTask. Nothing here touches the
+ * DOM, so it runs under Node as well.
+ */
+
+const SWIFT_REFERENCE_DATE = Date.UTC(2001, 0, 1); // Swift Date's timeIntervalSinceReferenceDate epoch
+const SWIFT_DEFAULT_SPEED = 50; // Speed of tasks added in the macOS task list
+const SWIFT_DEFAULT_REMAINING_TIME = 7200; // Seconds, the macOS default Pomodoro time
+
+// iCalendar PRIORITY is 1 (highest) to 9 (lowest), 0 when undefined; Reminders uses 1, 5 and 9
+const ICS_PRIORITIES = { high: 1, normal: 5, low: 9 };
+const ICS_LINE_OCTETS = 75;
+
+const MARKDOWN_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s?(.*)$/;
+const MARKDOWN_META = /\s*<!--\s*brainfish:\s*(\{.*\})\s*-->\s*$/;
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// JSON (macOS Task Codable)
+
+/**
+ * Swift's default JSONEncoder writes dates as seconds since 2001-01-01;
+ * ISO strings (from .iso8601 encoders) are read as well
+ */
+function fromSwiftDate(value) {
+    if (typeof value === 'number') return new Date(SWIFT_REFERENCE_DATE + value * 1000);
+    return toDate(value);
+}
+
+function toSwiftDate(date) {
+    return (date.getTime() - SWIFT_REFERENCE_DATE) / 1000;
+}
+
+function exportJSON(tasks) {
+    const exported = tasks.map((task, index) => {
+        const dueDate = toDate(task.dueDate);
+        const lastModified = toDate(task.lastModified) || new Date();
+        const entry = {
+            title: task.title,
+            startOffset: index / Math.max(tasks.length, 1),
+            speed: SWIFT_DEFAULT_SPEED,
+            remainingTime: typeof task.remainingTime === 'number' ? task.remainingTime : SWIFT_DEFAULT_REMAINING_TIME,
+            isCompleted: Boolean(task.completed),
+            reminderID: task.id,
+            lastModified: toSwiftDate(lastModified),
+            reminderDeleted: false
+        };
+        // Swift uses encodeIfPresent for these, so they're left out rather than null
+        if (task.notes) entry.notes = task.notes;
+        if (dueDate) entry.dueDate = toSwiftDate(dueDate);
+        // Web-only fields; Swift's decoder ignores unknown keys
+        if (task.priority) entry.priority = task.priority;
+        if (task.color) entry.color = task.color;
+        return entry;
+    });
+
+    return JSON.stringify(exported, null, 2);
+}
+
+function importJSON(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    const entries = Array.isArray(data) ? data : data && data.tasks;
+    if (!Array.isArray(entries)) {
+        throw new Error('BrainFish: JSON import expects an array of tasks');
+    }
+
+    return entries
+        .filter(entry => entry && typeof entry.title === 'string')
+        .map(entry => {
+            const task = {
+                title: entry.title,
+                notes: entry.notes || null,
+                dueDate: fromSwiftDate(entry.dueDate),
+                completed: Boolean(entry.isCompleted !== undefined ? entry.isCompleted : entry.completed)
+            };
+            const id = entry.reminderID || entry.id;
+            if (id) task.id = String(id);
+            if (typeof entry.remainingTime === 'number') task.remainingTime = entry.remainingTime;
+            if (entry.lastModified !== undefined) task.lastModified = fromSwiftDate(entry.lastModified);
+            if (entry.priority) task.priority = entry.priority;
+            if (entry.color) task.color = entry.color;
+            return task;
+        });
+}
+
+// iCalendar (RFC 5545)
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * UTC date-time such as 20250601T150000Z
+ */
+function formatICSDate(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Convert a wall-clock time in an IANA time zone to a Date, using Intl to
+ * find the zone's offset. Unknown zones fall back to local time.
+ */
+function zonedTime(fields, timeZone) {
+    const [year, month, day, hours, minutes, seconds] = fields;
+    const guess = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    try {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        const parts = {};
+        formatter.formatToParts(new Date(guess)).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        return new Date(guess - (shown - guess));
+    } catch (error) {
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+}
+
+/**
+ * DATE (all-day, local midnight), floating DATE-TIME (local), UTC DATE-TIME
+ * or DATE-TIME with a TZID parameter
+ */
+function parseICSDate(value, params) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const fields = match.slice(1, 7).map(part => Number(part || 0));
+    const [year, month, day, hours, minutes, seconds] = fields;
+    if (match[7]) return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    if (params.TZID && match[4]) return zonedTime(fields, params.TZID);
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+function escapeICSText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICSText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line at 75 octets, never splitting a character
+ */
+function foldICSLine(line) {
+    const chunks = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        // Continuation lines start with a space, which counts towards their limit
+        const limit = chunks.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+function exportICS(tasks, options = {}) {
+    const now = formatICSDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${options.prodId || '-//BrainFish//Widget//EN'}`,
+        'CALSCALE:GREGORIAN'
+    ];
+    if (options.calendarName) lines.push(`X-WR-CALNAME:${escapeICSText(options.calendarName)}`);
+
+    tasks.forEach(task => {
+        const dueDate = toDate(task.dueDate);
+        const lastModified = toDate(task.lastModified);
+
+        lines.push('BEGIN:VTODO');
+        lines.push(`UID:${escapeICSText(task.id)}`);
+        lines.push(`DTSTAMP:${now}`);
+        lines.push(`SUMMARY:${escapeICSText(task.title)}`);
+        if (task.notes) lines.push(`DESCRIPTION:${escapeICSText(task.notes)}`);
+        if (dueDate) lines.push(`DUE:${formatICSDate(dueDate)}`);
+        if (task.priority) lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+        if (task.completed) {
+            lines.push('STATUS:COMPLETED');
+            lines.push(`COMPLETED:${formatICSDate(lastModified || new Date())}`);
+        } else {
+            lines.push('STATUS:NEEDS-ACTION');
+        }
+        if (lastModified) lines.push(`LAST-MODIFIED:${formatICSDate(lastModified)}`);
+        lines.push('END:VTODO');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split "NAME;PARAM=value;X=\"a:b\":text" into name, params and value
+ */
+function parseICSLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const equals = part.indexOf('=');
+        if (equals !== -1) {
+            params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+        }
+    });
+
+    return { name: name.toUpperCase(), params: params, value: line.slice(colon + 1) };
+}
+
+function importICS(text) {
+    // Unfold: a line starting with a space or tab continues the previous one
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const tasks = [];
+    let task = null;
+    let nested = 0; // Depth of components inside the VTODO, e.g. VALARM
+
+    lines.forEach(raw => {
+        const line = parseICSLine(raw);
+        if (!line) return;
+
+        if (line.name === 'BEGIN') {
+            if (line.value.toUpperCase() === 'VTODO' && !task) {
+                task = { notes: null, dueDate: null, priority: null, completed: false };
+            } else if (task) {
+                nested++;
+            }
+            return;
+        }
+        if (line.name === 'END') {
+            if (task && nested > 0) {
+                nested--;
+            } else if (task && line.value.toUpperCase() === 'VTODO') {
+                if (typeof task.title === 'string') tasks.push(task);
+                task = null;
+            }
+            return;
+        }
+        if (!task || nested > 0) return;
+
+        switch (line.name) {
+            case 'UID':
+                task.id = unescapeICSText(line.value);
+                break;
+            case 'SUMMARY':
+                task.title = unescapeICSText(line.value);
+                break;
+            case 'DESCRIPTION':
+                task.notes = unescapeICSText(line.value) || null;
+                break;
+            case 'DUE':
+                task.dueDate = parseICSDate(line.value, line.params);
+                break;
+            case 'STATUS':
+                task.completed = line.value.toUpperCase() === 'COMPLETED';
+                break;
+            case 'COMPLETED':
+                task.completed = true;
+                break;
+            case 'PRIORITY': {
+                const priority = Number(line.value);
+                if (priority >= 1 && priority <= 4) task.priority = 'high';
+                else if (priority === 5) task.priority = 'normal';
+                else if (priority >= 6 && priority <= 9) task.priority = 'low';
+                break;
+            }
+            case 'LAST-MODIFIED':
+                task.lastModified = parseICSDate(line.value, line.params);
+                break;
+        }
+    });
+
+    return tasks;
+}
+
+// Markdown checklists
+
+function exportMarkdown(tasks) {
+    return tasks.map(task => {
+        const dueDate = toDate(task.dueDate);
+        const meta = { id: task.id };
+        if (dueDate) meta.dueDate = dueDate.toISOString();
+        if (task.priority) meta.priority = task.priority;
+
+        const title = String(task.title).replace(/\s*\r?\n\s*/g, ' ');
+        let item = `- [${task.completed ? 'x' : ' '}] ${title} <!-- brainfish: ${JSON.stringify(meta)} -->`;
+        if (task.notes) {
+            item += '\n' + task.notes.split(/\r?\n/).map(line => (line ? `  ${line}` : '')).join('\n');
+        }
+        return item;
+    }).join('\n') + '\n';
+}
+
+/**
+ * Checklist items (`-`, `*`, `+` or numbered, nested ones included) become
+ * tasks; indented lines right below an item are its notes, blank lines
+ * between them included, and anything else is ignored
+ */
+function importMarkdown(text) {
+    const tasks = [];
+    let current = null;
+    let notesIndent = 0;
+    let blankLines = 0; // Kept only if more notes follow
+
+    text.split(/\r?\n/).forEach(line => {
+        const item = MARKDOWN_ITEM.exec(line);
+        if (item) {
+            const [, indent, mark, rest] = item;
+            const task = { title: rest, notes: null, dueDate: null, completed: mark.toLowerCase() === 'x' };
+
+            const meta = MARKDOWN_META.exec(rest);
+            if (meta) {
+                task.title = rest.slice(0, meta.index);
+                try {
+                    const fields = JSON.parse(meta[1]);
+                    if (fields.id) task.id = String(fields.id);
+                    if (fields.dueDate) task.dueDate = toDate(fields.dueDate);
+                    task.priority = fields.priority || null;
+                } catch (error) {
+                    // Keep the title when the comment was edited into invalid JSON
+                }
+            }
+            task.title = task.title.trim();
+
+            current = task;
+            notesIndent = indent.length + 2;
+            blankLines = 0;
+            tasks.push(task);
+            return;
+        }
+
+        const indent = line.length - line.trimStart().length;
+        if (current && !line.trim()) {
+            if (current.notes) blankLines++;
+        } else if (current && indent >= notesIndent) {
+            const note = line.slice(notesIndent);
+            current.notes = current.notes ? `${current.notes}\n${'\n'.repeat(blankLines)}${note}` : note;
+            blankLines = 0;
+        } else {
+            current = null;
+        }
+    });
+
+    return tasks;
+}
+
+class BrainFishFormats {
+    /**
+     * Tasks as text in the given format: 'json', 'ics' or 'markdown'
+     */
+    static exportTasks(tasks, format = 'json', options = {}) {
+        const formatter = BrainFishFormats.formats[BrainFishFormats.normalizeFormat(format)];
+        return formatter.export(tasks, options);
+    }
+
+    /**
+     * Partial task objects from text; the format is detected when omitted
+     */
+    static importTasks(text, format) {
+        const name = format ? BrainFishFormats.normalizeFormat(format) : BrainFishFormats.detectFormat(text);
+        return BrainFishFormats.formats[name].import(text);
+    }
+
+    static detectFormat(text) {
+        if (typeof text !== 'string') return 'json';
+        const start = text.trimStart();
+        if (/^BEGIN:VCALENDAR/i.test(start)) return 'ics';
+        if (start.startsWith('[') || start.startsWith('{')) return 'json';
+        return 'markdown';
+    }
+
+    /**
+     * Accept file extensions and MIME types as well as format names
+     */
+    static normalizeFormat(format) {
+        const name = String(format).toLowerCase().replace(/^\./, '');
+        const aliases = {
+            json: 'json', 'application/json': 'json',
+            ics: 'ics', ical: 'ics', icalendar: 'ics', 'text/calendar': 'ics',
+            markdown: 'markdown', md: 'markdown', 'text/markdown': 'markdown'
+        };
+        if (!aliases[name]) {
+            throw new Error(`BrainFish: unknown task format "${format}"`);
+        }
+        return aliases[name];
+    }
+}
+
+BrainFishFormats.formats = {
+    json: { export: exportJSON, import: importJSON, extension: 'json', mimeType: 'application/json' },
+    ics: { export: exportICS, import: importICS, extension: 'ics', mimeType: 'text/calendar' },
+    markdown: { export: exportMarkdown, import: importMarkdown, extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishFormats;
+}
@@ -0,0 +1,358 @@
+/**
+ * BrainFish Quick Add - natural-language task entry for the v2 widget
+ *
+ * Turns a line like "Send invoice tomorrow 3pm !high 25m" into a partial
+ * task: { title: 'Send invoice', dueDate, priority: 'high', remainingTime: 1500 }.
+ * Understood, anywhere in the line:
+ *   - dates: today, tonight, tomorrow, weekdays (friday, on fri, next friday),
+ *     next week, next month, in 3 days, in 2 weeks, Oct 20, 20 October,
+ *     2026-10-20
+ *   - times: 3pm, 3:30 pm, 15:00, at 9, noon, midnight, in 2 hours
+ *   - priority: !high, !normal, !low (or !h, !n, !l), and !!!, !!, ! like Reminders
+ *   - Pomodoro duration: 25m, 1h, 1h30m, 1.5 hours, for 45 minutes
+ * Text in double quotes is kept as it is ("Friday" prep stays a title).
+ *
+ * parse() also returns what it recognised, so an input can preview the task
+ * before it's added. Nothing here touches the DOM, so it runs under Node as well.
+ */
+
+const QUICK_ADD_START = '(?<=^|[\\s(])';
+const QUICK_ADD_END = '(?=$|[\\s,.;!?)])';
+const QUICK_ADD_DEFAULT_HOUR = 9; // Due time for a date without one
+const QUICK_ADD_EVENING_HOUR = 20; // "tonight"
+const QUICK_ADD_END_OF_DAY = { hour: 23, minute: 59 }; // "today" once its usual hour has passed
+
+const QUICK_ADD_PRIORITIES = {
+    '!!!': 'high', '!high': 'high', '!h': 'high',
+    '!!': 'normal', '!normal': 'normal', '!medium': 'normal', '!med': 'normal', '!n': 'normal', '!m': 'normal',
+    '!': 'low', '!low': 'low', '!l': 'low'
+};
+
+const QUICK_ADD_WEEKDAYS = {
+    sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5, saturday: 6, sat: 6
+};
+
+const QUICK_ADD_MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+const QUICK_ADD_NUMBERS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+const TIME_PREFIX = '(?:(?:at|@)\\s*)?';
+// A preposition left right before a recognised date or time, as in "by 5pm" or "on 12:30"
+const DANGLING_PREFIX = new RegExp(`${QUICK_ADD_START}(?:(?:on|at|by|due)\\s+|@\\s*)$`, 'i');
+
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+function toNumber(value) {
+    const lower = value.toLowerCase();
+    return lower in QUICK_ADD_NUMBERS ? QUICK_ADD_NUMBERS[lower] : parseFloat(value);
+}
+
+/**
+ * Days from today to a weekday. A bare weekday is the next one (1-7 days
+ * away); "next friday" is the Friday of next week, weeks starting on Monday.
+ */
+function weekdayOffset(today, target, prefix) {
+    const current = today.getDay();
+    if (prefix === 'next') {
+        const toMonday = (8 - current) % 7 || 7;
+        return toMonday + (target + 6) % 7;
+    }
+    return (target - current + 7) % 7 || 7;
+}
+
+/**
+ * A calendar date, or null when the day doesn't exist in that month
+ */
+function createDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+function hourFrom(hour, meridiem) {
+    if (!meridiem) return hour;
+    if (hour < 1 || hour > 12) return null;
+    const pm = meridiem.toLowerCase().startsWith('p');
+    return hour % 12 + (pm ? 12 : 0);
+}
+
+// Each rule matches one kind of token; apply() returns false to leave the
+// match in the title (a second date, an impossible time, ...)
+const QUICK_ADD_RULES = [
+    {
+        type: 'priority',
+        pattern: `${QUICK_ADD_START}(!!!|!!|!(?:high|h|medium|med|normal|n|m|low|l)?)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.priority) return false;
+            state.priority = QUICK_ADD_PRIORITIES[match[1].toLowerCase()];
+            return true;
+        }
+    },
+    {
+        // Relative due dates come before durations so "in 2 hours" isn't read as one
+        type: 'date',
+        pattern: `${QUICK_ADD_START}in\\s+(\\d+(?:\\.\\d+)?|an?|one|two|three|four|five|six|seven|eight|nine|ten)\\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|wks?|w|months?)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.date || state.exact) return false;
+            const amount = toNumber(match[1]);
+            const unit = match[2].toLowerCase();
+
+            if (unit.startsWith('mo')) {
+                const date = startOfDay(state.now);
+                date.setMonth(date.getMonth() + Math.round(amount));
+                state.date = date;
+            } else if (unit.startsWith('m')) {
+                state.exact = new Date(state.now.getTime() + amount * 60000);
+            } else if (unit.startsWith('h')) {
+                state.exact = new Date(state.now.getTime() + amount * 3600000);
+            } else {
+                const days = unit.startsWith('w') ? amount * 7 : amount;
+                state.date = addDays(startOfDay(state.now), Math.round(days));
+            }
+            return true;
+        }
+    },
+    {
+        // A bare h or m only counts next to its number ("25m") or after "for",
+        // so quantities like "2 m of rope" stay in the title
+        type: 'duration',
+        pattern: `${QUICK_ADD_START}(?:(for)\\s+)?(?:(\\d+(?:\\.\\d+)?)(\\s*)(h|hrs?|hours?)(?:\\s*(\\d+)(\\s*)(m|mins?|minutes?))?|(\\d+)(\\s*)(m|mins?|minutes?))${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.remainingTime !== null) return false;
+            const [, prefix, hours, hourGap, hourUnit, minutes, minuteGap, minuteUnit, onlyMinutes, onlyGap, onlyUnit] = match;
+            const detached = (gap, unit) => Boolean(gap) && unit.length === 1;
+            if (!prefix && (detached(hourGap, hourUnit) || detached(minuteGap, minuteUnit) || detached(onlyGap, onlyUnit))) {
+                return false;
+            }
+
+            const seconds = onlyMinutes !== undefined
+                ? parseInt(onlyMinutes, 10) * 60
+                : Math.round(parseFloat(hours) * 3600 + (minutes ? parseInt(minutes, 10) * 60 : 0));
+            if (!seconds) return false;
+            state.remainingTime = seconds;
+            return true;
+        }
+    },
+    {
+        type: 'date',
+        pattern: `${QUICK_ADD_START}${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.date || state.exact) return false;
+            const date = createDate(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+            if (!date) return false;
+            state.date = date;
+            return true;
+        }
+    },
+    {
+        type: 'date',
+        pattern: `${QUICK_ADD_START}${DATE_PREFIX}(?:(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?|(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\.?)(?:,?\\s+(\\d{4}))?${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.date || state.exact) return false;
+            const month = QUICK_ADD_MONTHS[(match[1] || match[4]).slice(0, 3).toLowerCase()];
+            const day = parseInt(match[2] || match[3], 10);
+            const today = startOfDay(state.now);
+
+            let date = createDate(match[5] ? parseInt(match[5], 10) : today.getFullYear(), month, day);
+            // Without a year, a date that has passed means next year's
+            if (date && !match[5] && date < today) date = createDate(today.getFullYear() + 1, month, day);
+            if (!date) return false;
+            state.date = date;
+            return true;
+        }
+    },
+    {
+        type: 'date',
+        pattern: `${QUICK_ADD_START}${DATE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.date || state.exact) return false;
+            const word = match[1].toLowerCase();
+            const tomorrow = word !== 'today' && word !== 'tonight';
+            state.date = addDays(startOfDay(state.now), tomorrow ? 1 : 0);
+            if (word === 'tonight') state.evening = true;
+            return true;
+        }
+    },
+    {
+        type: 'date',
+        pattern: `${QUICK_ADD_START}(?:(?:by|due)\\s+)?next\\s+(week|month)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.date || state.exact) return false;
+            const today = startOfDay(state.now);
+            if (match[1].toLowerCase() === 'week') {
+                state.date = addDays(today, weekdayOffset(today, 1, 'next'));
+            } else {
+                state.date = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+            }
+            return true;
+        }
+    },
+    {
+        // Abbreviations ("sat", "sun", "wed") only count after a prefix, since they're ordinary words too
+        type: 'date',
+        pattern: `${QUICK_ADD_START}(?:(?:(next|this|on|by|due)\\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)|(next|this|on|by|due)\\s+(sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)\\.?)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.date || state.exact) return false;
+            const prefix = (match[1] || match[3] || '').toLowerCase();
+            const target = QUICK_ADD_WEEKDAYS[(match[2] || match[4]).toLowerCase()];
+            const today = startOfDay(state.now);
+            state.date = addDays(today, weekdayOffset(today, target, prefix));
+            return true;
+        }
+    },
+    {
+        type: 'time',
+        pattern: `${QUICK_ADD_START}${TIME_PREFIX}(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.time || state.exact) return false;
+            const hour = hourFrom(parseInt(match[1], 10), match[3]);
+            if (hour === null) return false;
+            state.time = { hour, minute: match[2] ? parseInt(match[2], 10) : 0 };
+            return true;
+        }
+    },
+    {
+        type: 'time',
+        pattern: `${QUICK_ADD_START}${TIME_PREFIX}([01]?\\d|2[0-3]):([0-5]\\d)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.time || state.exact) return false;
+            state.time = { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+            return true;
+        }
+    },
+    {
+        type: 'time',
+        pattern: `${QUICK_ADD_START}(?:at\\s+)?(noon|midnight)${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.time || state.exact) return false;
+            state.time = { hour: match[1].toLowerCase() === 'noon' ? 12 : 0, minute: 0 };
+            return true;
+        }
+    },
+    {
+        // "at 3" without am/pm: 1-7 are read as afternoon hours
+        type: 'time',
+        pattern: `${QUICK_ADD_START}(?:at|@)\\s*(\\d{1,2})${QUICK_ADD_END}`,
+        apply(match, state) {
+            if (state.time || state.exact) return false;
+            const hour = parseInt(match[1], 10);
+            if (hour > 23) return false;
+            state.time = { hour: hour >= 1 && hour <= 7 ? hour + 12 : hour, minute: 0 };
+            return true;
+        }
+    }
+];
+
+/**
+ * Due date from the recognised date and time. A time without a date is the
+ * next time it comes round (today, or tomorrow once it has passed).
+ */
+function resolveDueDate(state, defaultHour) {
+    if (state.exact) return state.exact;
+    if (!state.date && !state.time) return null;
+
+    const due = new Date(state.date || state.now);
+    if (state.time) {
+        due.setHours(state.time.hour, state.time.minute, 0, 0);
+    } else {
+        due.setHours(state.evening ? QUICK_ADD_EVENING_HOUR : defaultHour, 0, 0, 0);
+        // Entered after that hour on the day itself: due by the end of it, not already overdue
+        if (due <= state.now && due.toDateString() === state.now.toDateString()) {
+            due.setHours(QUICK_ADD_END_OF_DAY.hour, QUICK_ADD_END_OF_DAY.minute, 0, 0);
+        }
+    }
+    if (!state.date && due <= state.now) due.setDate(due.getDate() + 1);
+    return due;
+}
+
+class BrainFishQuickAdd {
+    /**
+     * Parse a line of input. Options: now (Date the input is relative to,
+     * default the current time) and defaultHour (due hour for a date without
+     * a time, default 9). Returns { title, dueDate, priority, remainingTime,
+     * matches }, where matches lists the recognised tokens in input order as
+     * { type: 'date' | 'time' | 'priority' | 'duration', text, index }.
+     */
+    static parse(text, options = {}) {
+        const input = String(text || '');
+        const state = {
+            now: options.now ? new Date(options.now) : new Date(),
+            date: null,
+            time: null,
+            exact: null,
+            evening: false,
+            priority: null,
+            remainingTime: null
+        };
+
+        // Matching runs on a copy with quoted text blanked out, so quotes keep their words
+        const quoted = [];
+        let search = input.replace(/"[^"]*"/g, (segment, index) => {
+            quoted.push(index, index + segment.length - 1);
+            return '\u0000'.repeat(segment.length);
+        });
+
+        const matches = [];
+        QUICK_ADD_RULES.forEach(rule => {
+            const pattern = new RegExp(rule.pattern, 'gi');
+            let match;
+            while ((match = pattern.exec(search)) !== null) {
+                if (rule.apply(match, state)) {
+                    let index = match.index;
+                    if (rule.type === 'date' || rule.type === 'time') {
+                        const dangling = DANGLING_PREFIX.exec(search.slice(0, index));
+                        if (dangling) index = dangling.index;
+                    }
+                    const end = match.index + match[0].length;
+                    matches.push({ type: rule.type, text: input.slice(index, end), index: index });
+                    search = search.slice(0, index) + '\u0000'.repeat(end - index) + search.slice(end);
+                    break;
+                }
+                if (match[0] === '') pattern.lastIndex++;
+            }
+        });
+        matches.sort((a, b) => a.index - b.index);
+
+        // The title is the input without the recognised tokens and the quote marks
+        const removed = new Set(quoted);
+        matches.forEach(match => {
+            for (let i = match.index; i < match.index + match.text.length; i++) removed.add(i);
+        });
+        const title = input.split('')
+            .filter((character, index) => !removed.has(index))
+            .join('')
+            .replace(/\(\s*\)/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([,.;!?)])/g, '$1')
+            .trim();
+
+        return {
+            title: title || input.trim(),
+            dueDate: resolveDueDate(state, options.defaultHour !== undefined ? options.defaultHour : QUICK_ADD_DEFAULT_HOUR),
+            priority: state.priority,
+            remainingTime: state.remainingTime,
+            matches: matches
+        };
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishQuickAdd;
+}
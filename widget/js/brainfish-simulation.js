@@ -0,0 +1,453 @@
+/**
+ * BrainFish Simulation - DOM-free motion core for the v2 widget
+ *
+ * Owns the wave path, tangent angles, speed lerping, lane gliding and
+ * wrap-around. Renderers only read the layout it produces, and nothing here
+ * touches the DOM or window, so it runs under Node with a seeded random
+ * source for deterministic results.
+ *
+ * Fish are plain objects; the simulation reads and writes their motion fields
+ * (x, currentSpeed, targetSpeed, baseYOffset, targetYOffset, wavePhase,
+ * waveAmplitude, waveFrequency, waveBoost, isLeaving). Schooling also reads
+ * textWidth and fontSize, and isAvoiding for fish fleeing the cursor.
+ *
+ * Fish always swim towards x = 0. With `mirror` the renderers flip that space
+ * so the fish swim left to right on screen; toScreenX() converts between the two.
+ */
+
+const PATH_CACHE_STEP = 5; // px between cached path samples (under 0.1px interpolation error)
+const PATH_CACHE_MARGIN = 600; // px cached beyond each edge (fish start and wrap off-screen)
+
+// Avoidance model from spec.md: an ellipse around each fish, extended by padding
+const DEFAULT_AVOIDANCE = {
+    zoneWidth: 2, // Base ellipse width as a multiple of the text width
+    zoneHeight: 4, // Base ellipse height as a multiple of the font height
+    padding: 60, // Extended detection area, px added on every side
+    speedFactor: 4, // Speed multiplier while the cursor is inside the extended area
+    acceleration: 0.4, // Lerp factor per 60fps frame when speeding up
+    deceleration: 0.05 // Lerp factor per 60fps frame when slowing down (about 3s back to normal)
+};
+
+// Schooling: fish whose lanes are close enough to touch swim in single file
+const DEFAULT_SCHOOLING = {
+    gap: 40, // Minimum px between one fish's tail and the next one's head
+    braking: 150, // px beyond the gap over which a follower slows to its leader's speed
+    wrapMargin: 100 // px the tail must be past the left edge before the fish wraps round
+};
+
+// Reach of the sprites around the text at the 16px base size
+const FISH_HEAD_LENGTH = 25; // px ahead of fish.x
+const FISH_TAIL_LENGTH = 35; // px behind the last letter
+
+/**
+ * Small seeded PRNG (mulberry32) for reproducible fish
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Precomputed unit wave (sine and its slope) for one fish, sampled every
+ * PATH_CACHE_STEP px and linearly interpolated. Amplitude is applied on read,
+ * so waveAmplitude and waveBoost changes don't invalidate it.
+ */
+class FishPathCache {
+    constructor(width, waveFrequency, fish) {
+        this.width = width;
+        this.waveFrequency = waveFrequency;
+        this.wavePhase = fish.wavePhase;
+        this.fishFrequency = fish.waveFrequency;
+
+        // Wave: sin(k * x + phase), with k in radians per px
+        const k = (Math.PI * waveFrequency * fish.waveFrequency) / width;
+        this.start = -PATH_CACHE_MARGIN;
+        const count = Math.ceil((width + PATH_CACHE_MARGIN * 2) / PATH_CACHE_STEP) + 1;
+
+        this.sin = new Float64Array(count);
+        this.slope = new Float64Array(count);
+        for (let i = 0; i < count; i++) {
+            const angle = k * (this.start + i * PATH_CACHE_STEP) + fish.wavePhase;
+            this.sin[i] = Math.sin(angle);
+            this.slope[i] = Math.cos(angle) * k;
+        }
+        this.k = k;
+    }
+
+    matches(width, waveFrequency, fish) {
+        return this.width === width &&
+            this.waveFrequency === waveFrequency &&
+            this.wavePhase === fish.wavePhase &&
+            this.fishFrequency === fish.waveFrequency;
+    }
+
+    sample(table, x) {
+        const position = (x - this.start) / PATH_CACHE_STEP;
+        const index = Math.floor(position);
+
+        // Outside the cached range (rare): compute directly
+        if (index < 0 || index >= table.length - 1) return null;
+
+        const t = position - index;
+        return table[index] + (table[index + 1] - table[index]) * t;
+    }
+
+    wave(x) {
+        const cached = this.sample(this.sin, x);
+        return cached !== null ? cached : Math.sin(this.k * x + this.wavePhase);
+    }
+
+    waveSlope(x) {
+        const cached = this.sample(this.slope, x);
+        return cached !== null ? cached : Math.cos(this.k * x + this.wavePhase) * this.k;
+    }
+}
+
+class BrainFishSimulation {
+    constructor(options = {}) {
+        this.width = options.width || 1024;
+        this.speed = options.speed || 120;
+        this.waveAmplitude = options.waveAmplitude || 20;
+        this.waveFrequency = options.waveFrequency || 9;
+        // Wave changes ease towards these in advance()
+        this.targetWaveAmplitude = this.waveAmplitude;
+        this.targetWaveFrequency = this.waveFrequency;
+        this.baseY = options.baseY !== undefined ? options.baseY : 40;
+        this.fishSpacing = options.fishSpacing || 300; // Initial stagger between fish, as in spec.md
+        this.random = options.random || (options.seed !== undefined ? createSeededRandom(options.seed) : Math.random);
+        this.avoidance = { ...DEFAULT_AVOIDANCE, ...(options.avoidance || {}) };
+        // schooling: false lets fish overlap and wrap as in spec.md's original model
+        this.schooling = options.schooling === false ? null : { ...DEFAULT_SCHOOLING, ...(options.schooling || {}) };
+        this.mirror = options.mirror === true; // Swim left to right on screen
+
+        this.pathCaches = new WeakMap();
+    }
+
+    setWidth(width) {
+        this.width = width;
+    }
+
+    /**
+     * Change the shared wave; amplitude and frequency ease over about half a second
+     */
+    setWave({ amplitude, frequency } = {}) {
+        if (amplitude !== undefined) this.targetWaveAmplitude = amplitude;
+        if (frequency !== undefined) this.targetWaveFrequency = frequency;
+    }
+
+    /**
+     * Advance state shared by all fish, once per frame before step()
+     */
+    advance(deltaTime) {
+        const t = Math.min(1, deltaTime * 6);
+        const ease = (value, target) => (Math.abs(target - value) < 0.01 ? target : value + (target - value) * t);
+
+        this.waveAmplitude = ease(this.waveAmplitude, this.targetWaveAmplitude);
+        this.waveFrequency = ease(this.waveFrequency, this.targetWaveFrequency);
+    }
+
+    /**
+     * Motion fields for a new fish, with its own random wave characteristics
+     */
+    createFishMotion(index, laneOffset, speedMultiplier) {
+        const yJitter = (this.random() - 0.5) * 15;
+        const speed = this.speed * speedMultiplier;
+
+        return {
+            index: index,
+            x: this.width + (index * this.fishSpacing), // Start off-screen with spacing
+            baseY: this.baseY,
+            speedMultiplier: speedMultiplier,
+            currentSpeed: speed,
+            targetSpeed: speed,
+            // Individual wave characteristics for each fish
+            wavePhase: this.random() * Math.PI * 2, // Random phase offset
+            waveAmplitude: 0.7 + this.random() * 0.6, // Amplitude between 0.7 and 1.3
+            waveFrequency: 0.8 + this.random() * 0.4, // Frequency between 0.8 and 1.2
+            yJitter: yJitter,
+            baseYOffset: yJitter + laneOffset, // Random variation + priority offset
+            targetYOffset: yJitter + laneOffset,
+            waveBoost: 1, // Extra wave amplitude, e.g. when a Pomodoro is running low
+            isLeaving: false
+        };
+    }
+
+    getPathCache(fish) {
+        let cache = this.pathCaches.get(fish);
+        if (!cache || !cache.matches(this.width, this.waveFrequency, fish)) {
+            cache = new FishPathCache(this.width, this.waveFrequency, fish);
+            this.pathCaches.set(fish, cache);
+        }
+        return cache;
+    }
+
+    getAmplitude(fish) {
+        return this.waveAmplitude * fish.waveAmplitude * fish.waveBoost;
+    }
+
+    /**
+     * Y position on the fish's wave path at screen x
+     */
+    pathY(fish, x) {
+        return this.baseY + fish.baseYOffset + this.getPathCache(fish).wave(x) * this.getAmplitude(fish);
+    }
+
+    /**
+     * Tangent angle of the wave path at screen x, in degrees
+     */
+    tangentAngle(fish, x) {
+        const slope = this.getPathCache(fish).waveSlope(x) * this.getAmplitude(fish);
+        return Math.atan(slope) * (180 / Math.PI);
+    }
+
+    /**
+     * Screen x for a simulation x, and the other way round (the flip is its own inverse)
+     */
+    toScreenX(x) {
+        return this.mirror ? this.width - x : x;
+    }
+
+    /**
+     * Per-letter advances in px: measured ones as given, or a fixed 0.55em
+     * estimate for a letter count
+     */
+    getAdvances(letters, fontSize) {
+        return Array.isArray(letters) ? letters : new Array(letters).fill(fontSize * 0.55);
+    }
+
+    /**
+     * Width of a title from its measured advances, or estimated from its letter count
+     */
+    textWidth(letters, fontSize) {
+        if (!Array.isArray(letters)) return letters * fontSize * 0.55;
+        return letters.reduce((sum, advance) => sum + advance, 0);
+    }
+
+    /**
+     * Detection ellipse centred on the fish's text. radiusX/radiusY include the
+     * extended padding; baseRadiusX/baseRadiusY are the base ellipse.
+     */
+    detectionZone(fish, letters, fontSize) {
+        const textWidth = this.textWidth(letters, fontSize);
+        const centerX = fish.x + textWidth / 2;
+        const baseRadiusX = (textWidth * this.avoidance.zoneWidth) / 2;
+        const baseRadiusY = (fontSize * this.avoidance.zoneHeight) / 2;
+
+        return {
+            centerX: centerX,
+            centerY: this.pathY(fish, centerX) + fontSize / 2,
+            baseRadiusX: baseRadiusX,
+            baseRadiusY: baseRadiusY,
+            radiusX: baseRadiusX + this.avoidance.padding,
+            radiusY: baseRadiusY + this.avoidance.padding
+        };
+    }
+
+    isInZone(zone, x, y) {
+        const dx = (x - zone.centerX) / zone.radiusX;
+        const dy = (y - zone.centerY) / zone.radiusY;
+        return dx * dx + dy * dy <= 1;
+    }
+
+    /**
+     * Advance one fish by deltaTime seconds towards its targetSpeed. Pass the
+     * school (every swimming fish) so a wrapping fish rejoins at its back.
+     */
+    step(fish, deltaTime, school = []) {
+        // Quick acceleration, slow return; lerp factors are per 60fps frame. Braking is quick too.
+        const t = fish.targetSpeed > fish.currentSpeed || fish.isBraking ? this.avoidance.acceleration : this.avoidance.deceleration;
+        fish.currentSpeed += (fish.targetSpeed - fish.currentSpeed) * (1 - Math.pow(1 - t, deltaTime * 60));
+
+        // Glide towards a new priority lane after the task list changed
+        fish.baseYOffset += (fish.targetYOffset - fish.baseYOffset) * Math.min(1, deltaTime * 3);
+
+        fish.x -= fish.currentSpeed * deltaTime;
+
+        // Wrap around when fish goes off screen (leaving fish are removed instead)
+        if (fish.isLeaving) return;
+        if (!this.schooling) {
+            if (fish.x < -400) fish.x = this.width + 100;
+        } else if (fish.x + this.getExtent(fish).back < -this.schooling.wrapMargin) {
+            fish.x = this.getWrapX(fish, school);
+        }
+    }
+
+    // Schooling
+
+    /**
+     * Reach of a fish along x from fish.x: the head is `front` px ahead of
+     * it, the tail `back` px behind
+     */
+    getExtent(fish) {
+        const scale = (fish.fontSize || 16) / 16;
+        return { front: FISH_HEAD_LENGTH * scale, back: (fish.textWidth || 0) + FISH_TAIL_LENGTH * scale };
+    }
+
+    /**
+     * Whether two fish can touch: their lanes are closer than a line of text
+     * plus the swing of both waves
+     */
+    sharesLane(a, b) {
+        const height = Math.max(a.fontSize || 16, b.fontSize || 16) * 1.5;
+        return Math.abs(a.baseYOffset - b.baseYOffset) < height + this.getAmplitude(a) + this.getAmplitude(b);
+    }
+
+    /**
+     * Free px between a leader's tail and its follower's head (negative when they overlap)
+     */
+    getGap(leader, follower) {
+        return (follower.x - this.getExtent(follower).front) - (leader.x + this.getExtent(leader).back);
+    }
+
+    /**
+     * Swimming fish ordered front (leftmost) to back, each with the nearest
+     * fish ahead of it in its lane
+     */
+    orderSchool(fishes) {
+        const ordered = fishes.filter(fish => !fish.isLeaving).sort((a, b) => a.x - b.x);
+        return ordered.map((fish, index) => {
+            let leader = null;
+            for (let i = index - 1; i >= 0 && !leader; i--) {
+                if (this.sharesLane(ordered[i], fish)) leader = ordered[i];
+            }
+            return { fish: fish, leader: leader };
+        });
+    }
+
+    /**
+     * Adjust target speeds so the fish keep their distance. Call once per
+     * frame after setting targetSpeed and before step(). Followers slow to
+     * their leader's speed over the braking distance and drop back when
+     * they're inside the gap; a fish fleeing the cursor pushes the one ahead
+     * of it, so the school flees together instead of piling up.
+     */
+    school(fishes) {
+        if (!this.schooling) return;
+
+        const { gap, braking } = this.schooling;
+        const school = this.orderSchool(fishes);
+
+        // Back to front, so a push travels up the school
+        for (let i = school.length - 1; i >= 0; i--) {
+            const { fish, leader } = school[i];
+            if (leader && fish.isAvoiding && this.getGap(leader, fish) < gap + braking) {
+                leader.targetSpeed = Math.max(leader.targetSpeed, fish.targetSpeed);
+            }
+        }
+
+        // Front to back, so each follower sees its leader's final speed
+        school.forEach(({ fish, leader }) => {
+            fish.isBraking = false;
+            if (!leader) return;
+
+            const distance = this.getGap(leader, fish);
+            if (distance >= gap + braking) return;
+            if (distance >= gap && fish.targetSpeed <= leader.targetSpeed) return;
+
+            const leaderSpeed = distance < gap ? leader.targetSpeed * Math.max(0, distance / gap) : leader.targetSpeed;
+            const t = Math.max(0, (distance - gap) / braking);
+            fish.targetSpeed = Math.min(fish.targetSpeed, leaderSpeed + (fish.targetSpeed - leaderSpeed) * t);
+            fish.isBraking = true;
+        });
+    }
+
+    /**
+     * Push apart fish that overlap after stepping (a burst of speed, a new
+     * fish, a resize), so titles never run over each other. Call once per
+     * frame after step().
+     */
+    separate(fishes) {
+        if (!this.schooling) return;
+
+        this.orderSchool(fishes).forEach(({ fish, leader }) => {
+            if (!leader || this.getGap(leader, fish) >= 0) return;
+            fish.x = leader.x + this.getExtent(leader).back + this.getExtent(fish).front;
+            fish.currentSpeed = Math.min(fish.currentSpeed, leader.currentSpeed);
+        });
+    }
+
+    /**
+     * Re-entry point for a wrapping fish: off the right edge, behind the
+     * last fish in its lane so the school keeps its order
+     */
+    getWrapX(fish, school) {
+        const front = this.getExtent(fish).front;
+        return school.reduce((x, other) => {
+            if (other === fish || other.isLeaving || !this.sharesLane(fish, other)) return x;
+            return Math.max(x, other.x + this.getExtent(other).back + this.schooling.gap + front);
+        }, this.width + 100);
+    }
+
+    /**
+     * Positions of the sprite parts and letters along the wave path, relative
+     * to fish.x and counted from the head. Angles are in degrees. `letters` is
+     * an array of measured advances, or a letter count for 0.55em each. The
+     * renderers place the fish at screen x `x`, flipped when `mirrored`.
+     */
+    layout(fish, letters, fontSize) {
+        const advances = this.getAdvances(letters, fontSize);
+        const letterCount = advances.length;
+        const textWidth = this.textWidth(advances, fontSize);
+
+        // Scale sprites based on font size (base size 16px)
+        const spriteScale = fontSize / 16;
+
+        // Parts are placed relative to the text - adjusted for better alignment
+        const textStartOffset = -5; // Move text slightly toward tail
+        const placePart = (offsetX, offsetY) => ({
+            x: offsetX,
+            y: this.pathY(fish, fish.x + offsetX) - offsetY,
+            angle: this.tangentAngle(fish, fish.x + offsetX)
+        });
+
+        const parts = {
+            head: placePart(-25 * spriteScale, 15 * spriteScale),
+            pectoral: placePart(textStartOffset + (textWidth * 0.15), 25 * spriteScale),
+            ventral: placePart(textStartOffset + (textWidth * 0.6), 10 * spriteScale), // Closer to tail
+            tail: placePart(textStartOffset + textWidth - 5, 10 * spriteScale) // Closer to last letter
+        };
+
+        // Each letter follows the path, bigger in the middle and smaller at the ends
+        const placed = [];
+        let offsetX = textStartOffset;
+        for (let i = 0; i < letterCount; i++) {
+            const letterProgress = i / (letterCount - 1);
+
+            let scale = 1.0;
+            if (letterProgress < 0.3) {
+                scale = 0.8 + (letterProgress / 0.3) * 0.2;
+            } else if (letterProgress > 0.7) {
+                scale = 1.0 - ((letterProgress - 0.7) / 0.3) * 0.3;
+            }
+
+            placed.push({ x: offsetX, y: this.pathY(fish, fish.x + offsetX), scale: scale });
+            offsetX += advances[i];
+        }
+
+        return {
+            x: this.toScreenX(fish.x),
+            mirrored: this.mirror,
+            parts: parts,
+            letters: placed,
+            spriteScale: spriteScale,
+            textWidth: textWidth,
+            fontSize: fontSize
+        };
+    }
+}
+
+BrainFishSimulation.FishPathCache = FishPathCache;
+BrainFishSimulation.createSeededRandom = createSeededRandom;
+BrainFishSimulation.DEFAULT_AVOIDANCE = DEFAULT_AVOIDANCE;
+BrainFishSimulation.DEFAULT_SCHOOLING = DEFAULT_SCHOOLING;
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishSimulation;
+}
@@ -0,0 +1,228 @@
+/**
+ * BrainFish Storage - Task persistence for the v2 widget
+ *
+ * A storage adapter is any object with:
+ *   load()        -> Promise resolving to an array of stored tasks (dates as ISO strings), or null when nothing is stored
+ *   save(tasks)   -> Promise resolving once the tasks are written
+ *   subscribe(cb) -> optional; calls cb(tasks) when another tab changes the data and
+ *                    returns an unsubscribe function
+ */
+
+const DEFAULT_STORAGE_KEY = 'brainfish-tasks';
+
+function serializeDate(value) {
+    return value instanceof Date ? value.toISOString() : value || null;
+}
+
+/**
+ * Convert tasks to plain JSON-safe objects (dates become ISO strings)
+ */
+function serializeTasks(tasks) {
+    return tasks.map(task => ({
+        ...task,
+        dueDate: serializeDate(task.dueDate),
+        lastModified: serializeDate(task.lastModified)
+    }));
+}
+
+class LocalStorageAdapter {
+    constructor(key = DEFAULT_STORAGE_KEY) {
+        this.key = key;
+    }
+
+    load() {
+        try {
+            const raw = window.localStorage.getItem(this.key);
+            return Promise.resolve(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    save(tasks) {
+        try {
+            window.localStorage.setItem(this.key, JSON.stringify(tasks));
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    // The storage event only fires in other tabs, never in the one that wrote
+    subscribe(callback) {
+        const handler = (e) => {
+            if (e.key !== this.key || e.newValue === null) return;
+            try {
+                callback(JSON.parse(e.newValue));
+            } catch (error) {
+                console.error('BrainFish: could not parse stored tasks', error);
+            }
+        };
+        window.addEventListener('storage', handler);
+        return () => window.removeEventListener('storage', handler);
+    }
+}
+
+class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'brainfish';
+        this.storeName = options.storeName || 'tasks';
+        this.key = options.key || DEFAULT_STORAGE_KEY;
+        this.signalKey = `${this.key}:saved`; // localStorage key bumped on every save
+        this.pollInterval = options.pollInterval || 5000; // ms, when localStorage is unavailable
+        this.lastSnapshot = null;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    request(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    load() {
+        return this.request('readonly', store => store.get(this.key))
+            .then(tasks => tasks || null);
+    }
+
+    save(tasks) {
+        return this.request('readwrite', store => store.put(tasks, this.key))
+            .then(() => {
+                this.lastSnapshot = JSON.stringify(tasks);
+                try {
+                    window.localStorage.setItem(this.signalKey, String(Date.now()));
+                } catch (error) {
+                    // Other tabs notice the change when they next poll
+                }
+            });
+    }
+
+    // IndexedDB has no change event. Other tabs bump the signal key when they
+    // save, which fires the storage event here; without localStorage, poll.
+    subscribe(callback) {
+        const reload = () => this.load()
+            .then(tasks => {
+                const snapshot = JSON.stringify(tasks);
+                if (!tasks || snapshot === this.lastSnapshot) return;
+                this.lastSnapshot = snapshot;
+                callback(tasks);
+            })
+            .catch(error => console.error('BrainFish: could not reload stored tasks', error));
+
+        let hasLocalStorage = false;
+        try {
+            hasLocalStorage = Boolean(window.localStorage);
+        } catch (error) {
+            hasLocalStorage = false; // Access throws when storage is blocked
+        }
+
+        if (hasLocalStorage) {
+            const handler = (e) => {
+                if (e.key === this.signalKey) reload();
+            };
+            window.addEventListener('storage', handler);
+            return () => window.removeEventListener('storage', handler);
+        }
+
+        const timer = setInterval(reload, this.pollInterval);
+        return () => clearInterval(timer);
+    }
+}
+
+/**
+ * Wraps an adapter with serialization and cross-tab sync. BroadcastChannel is
+ * used when available; otherwise the adapter's own subscribe() (e.g. the
+ * storage event for localStorage) is the fallback.
+ */
+class BrainFishStorage {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.channelName = options.channelName || `brainfish:${adapter.key || DEFAULT_STORAGE_KEY}`;
+        this.channel = null;
+        this.unsubscribeAdapter = null;
+    }
+
+    /**
+     * Build storage from the widget's `storage` option: 'localStorage',
+     * 'indexedDB' or a custom adapter object
+     */
+    static create(option, key = DEFAULT_STORAGE_KEY) {
+        if (!option) return null;
+        if (option instanceof BrainFishStorage) return option;
+
+        if (option === 'localStorage' || option === 'local') {
+            return new BrainFishStorage(new LocalStorageAdapter(key));
+        }
+        if (option === 'indexedDB' || option === 'indexeddb') {
+            return new BrainFishStorage(new IndexedDBAdapter({ key: key }));
+        }
+        if (typeof option.load === 'function' && typeof option.save === 'function') {
+            return new BrainFishStorage(option);
+        }
+
+        throw new Error(`BrainFish: unknown storage option "${option}"`);
+    }
+
+    load() {
+        return this.adapter.load();
+    }
+
+    save(tasks) {
+        const serialized = serializeTasks(tasks);
+        return this.adapter.save(serialized).then(() => {
+            if (this.channel) {
+                this.channel.postMessage({ type: 'tasks', tasks: serialized });
+            }
+        });
+    }
+
+    subscribe(callback) {
+        this.unsubscribe();
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (e) => {
+                if (e.data && e.data.type === 'tasks') callback(e.data.tasks);
+            };
+        } else if (typeof this.adapter.subscribe === 'function') {
+            this.unsubscribeAdapter = this.adapter.subscribe(callback);
+        }
+    }
+
+    unsubscribe() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.unsubscribeAdapter) {
+            this.unsubscribeAdapter();
+            this.unsubscribeAdapter = null;
+        }
+    }
+}
+
+BrainFishStorage.LocalStorageAdapter = LocalStorageAdapter;
+BrainFishStorage.IndexedDBAdapter = IndexedDBAdapter;
+BrainFishStorage.serializeTasks = serializeTasks;
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishStorage;
+}
@@ -0,0 +1,317 @@
+/**
+ * BrainFish Sync - Two-way sync between the v2 widget and a remote task API
+ *
+ * Modelled on the macOS SyncEngine: local changes schedule a debounced sync,
+ * conflicts are resolved by lastModified (newest wins) and deleted tasks are
+ * tracked so they are neither imported again nor resurrected.
+ *
+ * REST protocol, for endpoint '/api/tasks':
+ *   GET    /api/tasks       -> JSON array of tasks
+ *   PUT    /api/tasks/{id}  <- task JSON (create or update)
+ *   DELETE /api/tasks/{id}
+ *
+ * Server-Sent Events (eventsUrl): each message carries a JSON array snapshot
+ * of all tasks. Any other message just triggers a fetch from the endpoint.
+ */
+
+class BrainFishSync {
+    constructor(widget, options = {}) {
+        this.widget = widget;
+        this.endpoint = options.endpoint ? options.endpoint.replace(/\/$/, '') : null;
+        this.eventsUrl = options.eventsUrl || null;
+        this.pollInterval = options.pollInterval !== undefined ? options.pollInterval : 30000; // 0 disables polling
+        this.debounceInterval = options.debounceInterval !== undefined ? options.debounceInterval : 1500;
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || ((...args) => window.fetch(...args));
+        this.EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+        this.stateKey = options.stateKey || 'brainfish-sync-state';
+
+        this.isSyncing = false;
+        this.lastSyncDate = null;
+        this.syncError = null;
+
+        this.debounceTimer = null;
+        this.pollTimer = null;
+        this.eventSource = null;
+        this.latestSnapshot = null;
+        this.resyncRequested = false;
+        this.applyingRemote = false;
+        this.stopped = false;
+
+        // Task IDs known to exist on the server, and locally deleted IDs with their deletion time
+        this.knownIds = new Set();
+        this.deleted = {};
+        this.loadState();
+
+        this.previousIds = new Set(widget.tasks.map(task => task.id));
+        this.handleTasksChange = (e) => this.onLocalChange(e.tasks);
+    }
+
+    start() {
+        this.stopped = false;
+        this.widget.on('tasksChange', this.handleTasksChange);
+
+        if (this.eventsUrl && this.EventSource) {
+            this.connectEvents();
+        }
+        if (this.endpoint && this.pollInterval > 0) {
+            this.pollTimer = setInterval(() => this.performSync(), this.pollInterval);
+        }
+
+        return this.performSync();
+    }
+
+    stop() {
+        this.stopped = true;
+        this.widget.off('tasksChange', this.handleTasksChange);
+
+        clearTimeout(this.debounceTimer);
+        clearInterval(this.pollTimer);
+        this.debounceTimer = null;
+        this.pollTimer = null;
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    // Persistence of sync bookkeeping
+
+    loadState() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            const state = JSON.parse(localStorage.getItem(this.stateKey) || 'null');
+            if (state) {
+                this.knownIds = new Set(state.knownIds || []);
+                this.deleted = state.deleted || {};
+            }
+        } catch (error) {
+            console.error('BrainFish: could not read sync state', error);
+        }
+    }
+
+    saveState() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(this.stateKey, JSON.stringify({
+                knownIds: Array.from(this.knownIds),
+                deleted: this.deleted
+            }));
+        } catch (error) {
+            console.error('BrainFish: could not save sync state', error);
+        }
+    }
+
+    // Local changes
+
+    onLocalChange(tasks) {
+        if (this.applyingRemote) return;
+
+        const currentIds = new Set(tasks.map(task => task.id));
+        this.previousIds.forEach(id => {
+            if (!currentIds.has(id) && this.knownIds.has(id)) {
+                this.deleted[id] = Date.now();
+            }
+        });
+        this.previousIds = currentIds;
+        this.saveState();
+
+        this.scheduleDebouncedSync();
+    }
+
+    scheduleDebouncedSync() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            this.performSync();
+        }, this.debounceInterval);
+    }
+
+    // Sync operations
+
+    connectEvents() {
+        this.eventSource = new this.EventSource(this.eventsUrl);
+        this.eventSource.onmessage = (e) => {
+            let snapshot = null;
+            try {
+                snapshot = JSON.parse(e.data);
+            } catch (error) {
+                // Not a snapshot - fall through to a regular fetch
+            }
+
+            if (Array.isArray(snapshot)) {
+                this.latestSnapshot = snapshot;
+                this.performSync(snapshot);
+            } else {
+                this.scheduleDebouncedSync();
+            }
+        };
+    }
+
+    /**
+     * Run one sync pass. Overlapping requests are coalesced into a single
+     * follow-up sync once the current one finishes.
+     */
+    performSync(snapshot = null) {
+        if (this.isSyncing) {
+            this.resyncRequested = true;
+            return this.currentSync;
+        }
+
+        const remote = snapshot ? Promise.resolve(snapshot) : this.fetchRemote();
+        if (!remote) return Promise.resolve();
+
+        this.isSyncing = true;
+        this.syncError = null;
+        this.widget.emit('syncStart', {});
+
+        this.currentSync = remote
+            .then(remoteTasks => this.reconcile(remoteTasks))
+            .then(() => {
+                this.lastSyncDate = new Date();
+                this.widget.emit('syncEnd', { lastSyncDate: this.lastSyncDate });
+            })
+            .catch(error => {
+                this.syncError = error.message;
+                console.error('BrainFish: sync failed', error);
+                this.widget.emit('syncError', { error: error });
+            })
+            .then(() => {
+                this.isSyncing = false;
+                if (this.resyncRequested && !this.stopped) {
+                    this.resyncRequested = false;
+                    return this.performSync();
+                }
+            });
+
+        return this.currentSync;
+    }
+
+    /**
+     * GET the remote task list, or use the last SSE snapshot when there is no endpoint
+     */
+    fetchRemote() {
+        if (!this.endpoint) {
+            return this.latestSnapshot ? Promise.resolve(this.latestSnapshot) : null;
+        }
+
+        return this.request('GET', this.endpoint).then(tasks => {
+            if (!Array.isArray(tasks)) {
+                throw new Error('BrainFish: sync endpoint did not return a task array');
+            }
+            return tasks;
+        });
+    }
+
+    request(method, url, body) {
+        const init = { method: method, headers: { ...this.headers } };
+        if (body !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        return this.fetch(url, init).then(response => {
+            if (!response.ok) {
+                throw new Error(`BrainFish: ${method} ${url} failed with ${response.status}`);
+            }
+            return method === 'GET' ? response.json() : null;
+        });
+    }
+
+    /**
+     * Merge remote tasks into the widget, then push local changes back. Tasks
+     * without a lastModified count as older than any edit or deletion.
+     */
+    reconcile(remoteTasks) {
+        const modifiedAt = task => (task.lastModified ? task.lastModified.getTime() : 0);
+        const remote = this.widget.constructor.normalizeTasks(remoteTasks); // Skips tasks without a title
+        const remoteById = new Map(remote.map(task => [task.id, task]));
+        const localIds = new Set(this.widget.tasks.map(task => task.id));
+
+        const merged = [];
+        const toPush = [];
+        const toDelete = [];
+
+        // 1. Local tasks, in local order
+        this.widget.tasks.forEach(local => {
+            const remoteTask = remoteById.get(local.id);
+            if (remoteTask) {
+                if (modifiedAt(remoteTask) > modifiedAt(local)) {
+                    merged.push(remoteTask); // Remote is newer
+                } else {
+                    merged.push(local);
+                    if (modifiedAt(local) > modifiedAt(remoteTask)) toPush.push(local);
+                }
+            } else if (!this.knownIds.has(local.id)) {
+                merged.push(local); // Never synced - create it remotely
+                toPush.push(local);
+            }
+            // Otherwise it was synced before and is gone remotely: deleted on the server
+        });
+
+        // 2. Remote tasks we don't have locally
+        remote.forEach(remoteTask => {
+            if (localIds.has(remoteTask.id)) return;
+
+            const deletedAt = this.deleted[remoteTask.id];
+            if (deletedAt === undefined) {
+                merged.push(remoteTask);
+            } else if (modifiedAt(remoteTask) > deletedAt) {
+                merged.push(remoteTask); // Edited remotely after we deleted it - keep the edit
+                delete this.deleted[remoteTask.id];
+            } else {
+                toDelete.push(remoteTask.id);
+            }
+        });
+
+        // Tombstones for tasks the server no longer has are done
+        Object.keys(this.deleted).forEach(id => {
+            if (!remoteById.has(id)) delete this.deleted[id];
+        });
+
+        this.knownIds = new Set(merged.filter(task => remoteById.has(task.id)).map(task => task.id));
+        this.applyRemote(merged);
+
+        if (!this.endpoint) {
+            this.saveState();
+            return Promise.resolve();
+        }
+
+        const pushes = toPush.map(task =>
+            this.request('PUT', `${this.endpoint}/${encodeURIComponent(task.id)}`, task)
+                .then(() => this.knownIds.add(task.id))
+        );
+        const deletions = toDelete.map(id =>
+            this.request('DELETE', `${this.endpoint}/${encodeURIComponent(id)}`)
+                .then(() => { delete this.deleted[id]; })
+        );
+
+        return Promise.all(pushes.concat(deletions))
+            .then(() => this.saveState(), error => {
+                this.saveState();
+                throw error;
+            });
+    }
+
+    /**
+     * Hand merged tasks to the widget, unless the engine was stopped while the
+     * sync was in flight
+     */
+    applyRemote(tasks) {
+        if (this.stopped) return;
+
+        this.applyingRemote = true;
+        try {
+            this.widget.replaceTasks(tasks);
+        } finally {
+            this.applyingRemote = false;
+        }
+        this.previousIds = new Set(tasks.map(task => task.id));
+    }
+}
+
+// Export for use as module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrainFishSync;
+}
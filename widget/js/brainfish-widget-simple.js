@@ -2,6 +2,15 @@
  * BrainFish Widget - Simplified working version
  */
 
+// Letter colours by theme name; add more with BrainFishWidget.registerTheme()
+const THEMES = {
+    blue: { color: '#007AFF', outline: '#000' },
+    green: { color: '#34C759', outline: '#000' },
+    orange: { color: '#FF9500', outline: '#000' },
+    red: { color: '#FF3B30', outline: '#000' },
+    purple: { color: '#AF52DE', outline: '#000' }
+};
+
 class BrainFishWidget {
     constructor(options = {}) {
         this.tasks = options.tasks || ['Sample Task'];
@@ -48,6 +57,7 @@ class BrainFishWidget {
     }
 
     createFish() {
+        const theme = this.getTheme();
         this.tasks.forEach((task, index) => {
             const fish = {
                 task: task,
@@ -67,8 +77,8 @@ class BrainFishWidget {
                 font-family: -apple-system, BlinkMacSystemFont, sans-serif;
                 font-weight: bold;
                 font-size: ${this.fontSize}px;
-                color: ${this.getThemeColor()};
-                text-shadow: -1px -1px 0 #000, 1px -1px 0 #000, -1px 1px 0 #000, 1px 1px 0 #000;
+                color: ${theme.color};
+                text-shadow: -1px -1px 0 ${theme.outline}, 1px -1px 0 ${theme.outline}, -1px 1px 0 ${theme.outline}, 1px 1px 0 ${theme.outline};
                 white-space: nowrap;
                 pointer-events: none;
             `;
@@ -84,15 +94,18 @@ class BrainFishWidget {
         });
     }
 
-    getThemeColor() {
-        const colors = {
-            blue: '#007AFF',
-            green: '#34C759',
-            orange: '#FF9500',
-            red: '#FF3B30',
-            purple: '#AF52DE'
-        };
-        return colors[this.theme] || colors.blue;
+    /**
+     * Register a theme by name: { color, outline }
+     */
+    static registerTheme(name, theme) {
+        THEMES[name] = { outline: '#000', ...theme };
+        return THEMES[name];
+    }
+
+    // The theme option is a registered name or a { color, outline } object
+    getTheme() {
+        if (this.theme && typeof this.theme === 'object') return { outline: '#000', ...this.theme };
+        return THEMES[this.theme] || THEMES.blue;
     }
 
     wormPath(x, index) {
@@ -2,58 +2,117 @@
  * BrainFish Widget v2 - Complete working implementation
  */
 
-class BrainFishWidget {
-    constructor(options = {}) {
-        this.tasks = options.tasks || ['Sample Task'];
-        this.theme = options.theme || 'red'; // Default to red theme
-        this.fontSize = options.fontSize || 16;
-        this.speed = options.speed || 120; // Increased default speed
-        this.waveAmplitude = options.waveAmplitude || 20;
-        this.waveFrequency = options.waveFrequency || 9; // Triple the frequency for more curves
-        this.avoidMouse = options.avoidMouse !== false;
-        this.prioritySpread = options.prioritySpread !== undefined ? options.prioritySpread : 80; // Vertical spread for priority positioning
+// Priority levels mirror Reminders: higher priority swims higher and slightly faster
+const PRIORITY_LEVELS = {
+    high: { rank: 0, speed: 1.15 },
+    normal: { rank: 0.5, speed: 1.0 },
+    low: { rank: 1, speed: 0.85 }
+};
 
-        this.container = null;
-        this.fishList = [];
-        this.mouseX = -1000;
-        this.mouseY = -1000;
-        this.animationId = null;
-        this.lastTime = 0;
+// Due-date urgency: `within` is seconds before the due date, speed multiplies
+// the priority speed, lift raises the lane, fontScale enlarges the letters and
+// pulse makes the highlight pulse. Override any of it with the urgency option.
+const URGENCY_LEVELS = {
+    none: { speed: 1.0, lift: 0, fontScale: 1, pulse: false },
+    soon: { within: 24 * 60 * 60, speed: 1.25, lift: 0.15, fontScale: 1.1, pulse: false }, // Due within 24 hours
+    imminent: { within: 60 * 60, speed: 1.4, lift: 0.25, fontScale: 1.2, pulse: true }, // Due within the hour
+    overdue: { speed: 1.5, lift: 0.3, fontScale: 1.25, pulse: true }
+};
 
-        this.init();
-    }
+const MAX_TIMER_DELAY = 2147483647; // setTimeout fires at once beyond this (about 24.8 days)
 
-    init() {
-        this.createContainer();
-        this.createAllFish();
-        this.setupEventListeners();
-        this.startAnimation();
+// Sprite geometry in the 128x75 scaled sheet (the source sheet is 641x377).
+// Rectangles skip the 1px safety margin around each part.
+const DEFAULT_SPRITE = {
+    url: null, // null uses fish-sprite.png, or the spriteUrl option
+    width: 128,
+    height: 75,
+    parts: {
+        head: { x: 1, y: 1, width: 33, height: 48 },
+        pectoral: { x: 36, y: 1, width: 27, height: 73 },
+        ventral: { x: 65, y: 1, width: 18, height: 45 },
+        tail: { x: 85, y: 1, width: 43, height: 40 }
     }
+};
 
-    createContainer() {
-        // Remove existing container
-        const existing = document.querySelector('.brainfish-container');
-        if (existing) existing.remove();
+// Built-in themes, registered with BrainFishWidget.registerTheme below
+const BUILT_IN_THEMES = {
+    blue: { color: '#007AFF' },
+    green: { color: '#34C759' },
+    orange: { color: '#FF9500' },
+    red: { color: '#FF3B30' },
+    purple: { color: '#AF52DE' }
+};
 
-        this.container = document.createElement('div');
-        this.container.className = 'brainfish-container';
-        document.body.appendChild(this.container);
-    }
+const THEMES = {};
 
-    createAllFish() {
-        this.fishList = [];
+// Swipe gesture on a fish: direction -> 'snooze' or 'complete'
+const DEFAULT_SWIPE_ACTIONS = { left: 'snooze', right: 'complete' };
+const SWIPE_MIN_DISTANCE = 50; // px
+const SWIPE_MAX_DURATION = 600; // ms
 
-        this.tasks.forEach((task, index) => {
-            const fishData = this.createSingleFish(task, index);
-            this.fishList.push(fishData);
-        });
+// Input that counts as someone using the page, for pauseWhenIdle
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'scroll'];
+
+// Text layout: titles are split into graphemes (so emoji sequences and
+// combining marks stay whole) and put into display order for right-to-left scripts
+const RTL_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u; // Hebrew, Arabic, Syriac, Thaana...
+const LTR_CHAR = /[\p{L}\p{M}]/u; // Any other letter
+const DIGIT_CHAR = /\p{Nd}/u;
+const NUMBER_SEPARATOR = /^[.,:/]$/; // Inside a number, as in 12:30 or 3.5
+const MIRRORED_PAIRS = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+// Estimated 1em wide without a canvas to measure with: CJK, Hangul, fullwidth forms and emoji
+const WIDE_CHAR = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6\u{20000}-\u{3FFFD}]|\p{Extended_Pictographic}/u;
+// Where Intl.Segmenter is missing: keep combining marks, skin tones and ZWJ sequences together
+const GRAPHEME_FALLBACK = /\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*(?:\u200D\P{M}[\p{M}\u{1F3FB}-\u{1F3FF}]*)*/gsu;
+let graphemeSegmenter = null;
+
+/**
+ * Bidirectional type of a grapheme: 'R' (right-to-left letter), 'L' (other
+ * letter), 'D' (digit) or 'N' (neutral: spaces, punctuation, emoji)
+ */
+function getBidiType(grapheme) {
+    if (DIGIT_CHAR.test(grapheme)) return 'D';
+    if (RTL_CHAR.test(grapheme)) return 'R';
+    if (LTR_CHAR.test(grapheme)) return 'L';
+    return 'N';
+}
+
+/**
+ * Look up an optional companion module: a global from its own <script> tag in
+ * the browser, or a sibling file under Node
+ */
+function resolveModule(globalValue, path) {
+    if (globalValue) return globalValue;
+    if (typeof require === 'function') return require(path);
+    throw new Error(`BrainFish: ${path.replace('./', '')}.js must be loaded before the widget is created`);
+}
+
+/**
+ * Default renderer: one element per fish part and per letter, positioned with
+ * CSS transforms. Visual states ('caught', 'leaving', ...) map to
+ * `brainfish-<state>` classes styled in brainfish-widget-v2.css.
+ */
+class BrainFishDomRenderer {
+    constructor(widget) {
+        this.widget = widget;
+        this.container = null;
     }
 
-    createSingleFish(taskText, index) {
+    mount(container) {
+        this.container = container;
+        if (this.widget.spriteUrl) {
+            const url = new URL(this.widget.spriteUrl, document.baseURI).href;
+            this.container.style.setProperty('--brainfish-sprite', `url("${url}")`);
+        }
+    }
+
+    createFish(fish, { entering = false } = {}) {
         // Create main fish container
         const fishContainer = document.createElement('div');
         fishContainer.className = 'brainfish';
-        fishContainer.setAttribute('data-theme', this.theme);
+        fishContainer.setAttribute('data-task-id', fish.task.id);
+        fishContainer.setAttribute('aria-hidden', 'true'); // Read from the accessible task list instead
 
         // Create fish parts
         const head = document.createElement('div');
@@ -74,220 +133,2318 @@ class BrainFishWidget {
         fishContainer.appendChild(ventral);
         fishContainer.appendChild(tail);
 
+        fish.element = fishContainer;
+        fish.parts = { head: head, pectoral: pectoral, ventral: ventral, tail: tail };
+
         // Create letters for the task text
-        const letters = [];
+        fish.letters = this.createLetters(fishContainer, fish.glyphs);
+        this.updateFish(fish);
+
+        if (entering) {
+            fishContainer.classList.add('brainfish-entering');
+        }
+
+        // Add to DOM
+        this.container.appendChild(fishContainer);
+
+        if (entering) {
+            // Force a style flush so the fade-in transition runs
+            void fishContainer.offsetWidth;
+            fishContainer.classList.remove('brainfish-entering');
+        }
+    }
+
+    createLetters(fishContainer, glyphs, before = null) {
         const letterElements = [];
-        for (let i = 0; i < taskText.length; i++) {
+        for (let i = 0; i < glyphs.length; i++) {
             const letter = document.createElement('span');
             letter.className = 'fish-letter';
-            letter.textContent = taskText[i];
-            letter.style.fontSize = `${this.fontSize}px`;
-            fishContainer.appendChild(letter);
+            letter.textContent = glyphs[i];
+            letter.style.fontSize = `${this.widget.fontSize}px`;
+            fishContainer.insertBefore(letter, before);
             letterElements.push(letter);
-            letters.push(taskText[i]);
         }
+        return letterElements;
+    }
 
-        // Add to DOM
-        this.container.appendChild(fishContainer);
+    /**
+     * Replace only the letters between the unchanged start and end of the
+     * text, so a ticking Pomodoro countdown swaps a span or two per second
+     */
+    setText(fish) {
+        const letters = fish.letters;
+        const glyphs = fish.glyphs;
+        const shorter = Math.min(letters.length, glyphs.length);
 
-        // Calculate priority-based Y offset (higher priority = higher on screen)
-        // Use prioritySpread setting to control vertical separation
-        const maxTasks = Math.max(this.tasks.length, 1);
-        const priorityOffset = (index / Math.max(maxTasks - 1, 1)) * this.prioritySpread;
+        let start = 0;
+        while (start < shorter && letters[start].textContent === glyphs[start]) start++;
+        let end = 0;
+        while (end < shorter - start && letters[letters.length - 1 - end].textContent === glyphs[glyphs.length - 1 - end]) end++;
 
-        // Return fish data object with random wave characteristics
-        return {
-            element: fishContainer,
-            parts: {
-                head: head,
-                pectoral: pectoral,
-                ventral: ventral,
-                tail: tail
-            },
-            letters: letterElements,
-            text: taskText,
-            index: index,
-            x: window.innerWidth + (index * 300), // Start off-screen with spacing
-            baseY: 40,
-            currentSpeed: this.speed,
-            targetSpeed: this.speed,
-            isAvoiding: false,
-            // Individual wave characteristics for each fish
-            wavePhase: Math.random() * Math.PI * 2, // Random phase offset
-            waveAmplitude: 0.7 + Math.random() * 0.6, // Amplitude between 0.7 and 1.3
-            waveFrequency: 0.8 + Math.random() * 0.4, // Frequency between 0.8 and 1.2
-            baseYOffset: (Math.random() - 0.5) * 15 + priorityOffset // Random variation + priority offset
-        };
+        const kept = letters.slice(letters.length - end);
+        letters.slice(start, letters.length - end).forEach(letter => letter.remove());
+        const added = this.createLetters(fish.element, glyphs.slice(start, glyphs.length - end), kept[0] || null);
+        fish.letters = letters.slice(0, start).concat(added, kept);
     }
 
-    calculateWormPath(x, fishIndex, fishData) {
-        // Create a wave pattern based on X position with individual fish randomization
-        const screenWidth = window.innerWidth;
-        const progress = x / screenWidth;
+    /**
+     * Sync theme, priority, urgency and completion from the fish's task
+     */
+    updateFish(fish) {
+        const theme = this.widget.themeSpec;
+        const style = fish.element.style;
+        style.setProperty('--brainfish-color', this.widget.getFishColor(fish));
+        style.setProperty('--brainfish-outline', theme.outline);
+        if (theme.glow) {
+            style.setProperty('--brainfish-theme-glow', theme.glow);
+        } else {
+            style.removeProperty('--brainfish-theme-glow');
+        }
+        if (fish.spriteTheme !== theme) {
+            this.applySprite(fish, theme.sprite);
+            fish.spriteTheme = theme;
+        }
 
-        // Each fish gets its own random wave characteristics
-        const phaseOffset = fishData ? fishData.wavePhase : (fishIndex * 0.5);
-        const amplitudeMultiplier = fishData ? fishData.waveAmplitude : 1.0;
-        const frequencyMultiplier = fishData ? fishData.waveFrequency : 1.0;
+        fish.element.setAttribute('data-theme', typeof this.widget.theme === 'string' ? this.widget.theme : 'custom');
+        fish.element.setAttribute('data-priority', fish.task.priority || 'normal');
+        fish.element.setAttribute('data-urgency', fish.urgency);
+        fish.element.classList.toggle('brainfish-pulsing', this.widget.urgencyLevels[fish.urgency].pulse);
+        fish.element.classList.toggle('brainfish-completed', fish.task.completed);
+    }
 
-        const wave = Math.sin((progress * Math.PI * this.waveFrequency * frequencyMultiplier) + phaseOffset) * (this.waveAmplitude * amplitudeMultiplier);
+    /**
+     * Size each part and point it at its rectangle in the theme's sprite sheet
+     */
+    applySprite(fish, sprite) {
+        const image = sprite.url ? `url("${new URL(sprite.url, document.baseURI).href}")` : '';
 
-        // Each fish also gets a slightly different base Y position
-        const baseY = 40 + (fishData ? fishData.baseYOffset : 0);
-        return baseY + wave;
+        Object.keys(fish.parts).forEach(name => {
+            const rect = sprite.parts[name];
+            const style = fish.parts[name].style;
+            style.width = `${rect.width}px`;
+            style.height = `${rect.height}px`;
+            // Offsets include the 1px padding the CSS adds around each part
+            style.backgroundPosition = `${1 - rect.x}px ${1 - rect.y}px`;
+            style.backgroundSize = `${sprite.width}px ${sprite.height}px`;
+            style.backgroundImage = image;
+        });
     }
 
-    calculateTangentAngle(x, fishIndex, fishData) {
-        // Calculate the derivative of the worm path to get the tangent angle
-        const delta = 5; // Small delta for derivative calculation
-        const y1 = this.calculateWormPath(x - delta, fishIndex, fishData);
-        const y2 = this.calculateWormPath(x + delta, fishIndex, fishData);
-        const angle = Math.atan2(y2 - y1, delta * 2) * (180 / Math.PI);
-        return angle;
-    }
-
-    updateFish(fish, deltaTime) {
-        // Update speed based on mouse proximity
-        if (this.avoidMouse) {
-            const fishCenterX = fish.x + (fish.text.length * this.fontSize * 0.55 * 0.5); // Center of text
-            const fishCenterY = this.calculateWormPath(fishCenterX, fish.index, fish);
-            const distance = Math.sqrt(
-                Math.pow(this.mouseX - fishCenterX, 2) +
-                Math.pow(this.mouseY - fishCenterY, 2)
-            );
+    setState(fish, state, on) {
+        fish.element.classList.toggle(`brainfish-${state}`, on);
+    }
+
+    setContainerState(state, on) {
+        this.container.classList.toggle(`brainfish-${state}`, on);
+    }
+
+    removeFish(fish) {
+        fish.element.remove();
+    }
+
+    /**
+     * Fish under a pointer event. Only letters and sprite parts take pointer
+     * events (in interactive and swipe mode), so clicks between fish still
+     * reach the page underneath.
+     */
+    getFishAt(e) {
+        // Document listeners see the shadow host as target when mounted in Shadow DOM
+        const origin = (e.composedPath && e.composedPath()[0]) || e.target;
+        const fishElement = origin.closest && origin.closest('.brainfish');
+        if (!fishElement) return null;
+        return this.widget.fishList.find(candidate => candidate.element === fishElement) || null;
+    }
+
+    onFishClick(handler) {
+        this.container.addEventListener('click', (e) => {
+            const fish = this.getFishAt(e);
+            if (fish) handler(fish, e);
+        });
+    }
+
+    beginFrame() {}
+
+    endFrame() {}
+
+    render(fish, layout) {
+        const { parts, letters, spriteScale, fontSize, mirrored } = layout;
+
+        // Position the fish container (no rotation here). Fish swimming right
+        // are flipped as a whole, with each letter flipped back to read normally.
+        fish.element.style.transform = `translate(${layout.x}px, 0px)${mirrored ? ' scaleX(-1)' : ''}`;
+
+        Object.keys(parts).forEach(name => {
+            const part = parts[name];
+            fish.parts[name].style.transform = `translate(${part.x}px, ${part.y}px) rotate(${part.angle}deg) scale(${spriteScale})`;
+        });
+
+        fish.letters.forEach((letter, i) => {
+            letter.style.transform = `translate(${letters[i].x}px, ${letters[i].y}px)${mirrored ? ' scaleX(-1)' : ''}`;
+            letter.style.fontSize = `${fontSize * letters[i].scale}px`;
+        });
+    }
+
+    destroy() {
+        this.container = null;
+    }
+}
+
+class BrainFishWidget {
+    constructor(options = {}) {
+        this.tasks = BrainFishWidget.normalizeTasks(options.tasks || ['Sample Task']);
+        this.theme = options.theme || 'red'; // Registered theme name or a theme object
+        this.themeSpec = BrainFishWidget.resolveTheme(this.theme);
+        this.fontSize = options.fontSize || 16;
+        this.speed = options.speed || 120; // Increased default speed
+        this.waveAmplitude = options.waveAmplitude || 20;
+        this.waveFrequency = options.waveFrequency || 9; // Triple the frequency for more curves
+        this.avoidMouse = options.avoidMouse !== false; // Mouse, pen and touch pointers all count
+        this.prioritySpread = options.prioritySpread !== undefined ? options.prioritySpread : 80; // Vertical spread for priority positioning
+        this.target = options.target || null; // Element or selector to swim inside; defaults to a strip across the top of the page
+        this.autoSpread = this.target !== null && options.prioritySpread === undefined; // Fit the spread to the target's height
+        this.interactive = options.interactive === true; // Click or tap a fish to complete its task
+        this.completedFish = options.completedFish || 'remove'; // 'remove' or 'dim' completed tasks
+        this.swipe = options.swipe === true ? { ...DEFAULT_SWIPE_ACTIONS } : (options.swipe || null); // { left, right }
+        this.snoozeTime = options.snoozeTime || 900; // Seconds a snoozed fish stays away
+        this.snoozed = new Map(); // Task ID -> { until, timer }
+        // Due dates: fish speed up, grow and pulse as deadlines approach
+        this.urgencyLevels = BrainFishWidget.createUrgencyLevels(options.urgency); // { soon, imminent, overdue } overrides
+        this.notifyOverdue = options.notifyOverdue === true; // Web Notification when a task becomes overdue
+        this.taskUrgency = new Map(); // Task ID -> urgency at the last check
+        this.urgencyTimer = null;
+        // Accessibility: a hidden task list for screen readers and keyboards
+        this.ariaLabel = options.ariaLabel || 'Tasks';
+        this.reducedMotion = options.reducedMotion !== undefined ? options.reducedMotion : 'auto'; // 'auto' follows prefers-reduced-motion
+        this.reducedMotionSpeed = options.reducedMotionSpeed || 0.25; // Speed factor while motion is reduced
+        this.isReducedMotion = false;
+        this.motionQuery = null;
+        this.accessibleList = null;
+        this.accessibleItems = new Map(); // Task ID -> { item, label }
+        this.liveRegion = null;
+        this.announcers = null; // Event type -> handler that announces it
+        // Sleep cycle mirrors the macOS sleepIntervalMinutes/sleepDurationMinutes (in minutes)
+        this.sleepInterval = options.sleepInterval || null; // Minutes awake between naps; null disables the cycle
+        this.sleepDuration = options.sleepDuration || 4; // Minutes the fish stay away
+        this.pauseWhenHidden = options.pauseWhenHidden !== false; // Stop animating while the tab is hidden
+        this.pauseWhenIdle = options.pauseWhenIdle === true; // Send the fish to sleep when nobody uses the page
+        this.idleTimeout = options.idleTimeout || 5; // Minutes without pointer or keyboard input that count as idle
+        this.sleepReasons = new Set(); // 'cycle', 'idle' and/or 'manual'
+        this.isSleeping = false;
+        this.sleepTimer = null;
+        this.idleTimer = null;
+        this.lastActivity = Date.now();
+        // Motion math lives in the DOM-free simulation core
+        const Simulation = resolveModule(typeof BrainFishSimulation !== 'undefined' && BrainFishSimulation, './brainfish-simulation');
+        this.simulation = new Simulation({
+            width: window.innerWidth,
+            speed: this.speed,
+            waveAmplitude: this.waveAmplitude,
+            waveFrequency: this.waveFrequency,
+            avoidance: options.avoidance, // { zoneWidth, zoneHeight, padding, speedFactor, acceleration, deceleration }
+            schooling: options.schooling, // { gap, braking, wrapMargin }, or false to let fish overlap
+            mirror: options.swimDirection === 'right',
+            seed: options.seed
+        });
+
+        // Debug overlay: start it with debug: true, toggle it with the shortcut
+        this.debug = options.debug === true;
+        // The shortcut is on by default only where the overlay is wanted or loaded; null disables it
+        this.debugShortcut = options.debugShortcut !== undefined
+            ? options.debugShortcut
+            : (this.debug || typeof BrainFishDebugOverlay !== 'undefined' ? 'Alt+Shift+D' : null);
+        this.debugOverlay = null;
+
+        // Task editor panel (needs js/brainfish-editor.js): editor: true enables its shortcut
+        this.editorShortcut = options.editor
+            ? (options.editorShortcut !== undefined ? options.editorShortcut : 'Alt+Shift+T')
+            : null;
+        this.editor = null;
+
+        // Natural-language input for addTask strings (needs js/brainfish-quickadd.js): true or { defaultHour }
+        this.quickAdd = options.quickAdd || false;
+
+        // Clip drawers at the window edges (needs js/brainfish-clipdrawer.js): true or drawer options
+        this.clipDrawerOptions = options.clipDrawer || null;
+        this.clipDrawer = null;
+
+        this.renderer = null;
+        this.rendererType = options.renderer || 'dom'; // 'dom' or 'canvas'
+        this.spriteUrl = options.spriteUrl || null; // Defaults to ../assets/fish-sprite.png next to the stylesheet (DOM) or script (canvas)
+
+        // Pomodoro mode mirrors the macOS AppSettings (times in seconds)
+        this.pomodoroMode = options.pomodoroMode === true;
+        this.pomodoroTime = options.pomodoroTime || 7200;
+        this.breakTime = options.breakTime !== undefined ? options.breakTime : 300;
+        this.pomodoroLowThreshold = options.pomodoroLowThreshold || 0.2; // Fraction of time left that counts as "running low"
+        this.pomodoro = { phase: 'idle', taskId: null, startedAt: 0, endsAt: 0 };
+        this.pomodoroTimer = null;
+
+        // Optional persistence: 'localStorage', 'indexedDB' or a custom adapter
+        this.storage = options.storage
+            ? resolveModule(typeof BrainFishStorage !== 'undefined' && BrainFishStorage, './brainfish-storage')
+                .create(options.storage, options.storageKey)
+            : null;
+        this.storageReady = false;
+
+        // Optional remote sync: { endpoint, eventsUrl, pollInterval, ... }
+        this.syncEngine = options.sync
+            ? new (resolveModule(typeof BrainFishSync !== 'undefined' && BrainFishSync, './brainfish-sync'))(this, options.sync)
+            : null;
+
+        // Optional focus analytics (needs js/brainfish-analytics.js): true or { storageKey, days, historyLimit, saveInterval }
+        this.analytics = options.analytics ? this.createAnalytics(options.analytics) : null;
+
+        this.listeners = {};
+        if (options.onTaskClick) this.on('taskClick', options.onTaskClick);
+        if (options.onTaskComplete) this.on('taskComplete', options.onTaskComplete);
+        if (options.onPomodoroStart) this.on('pomodoroStart', options.onPomodoroStart);
+        if (options.onPomodoroEnd) this.on('pomodoroEnd', options.onPomodoroEnd);
+        if (options.onBreakStart) this.on('breakStart', options.onBreakStart);
+        if (options.onTaskOverdue) this.on('taskOverdue', options.onTaskOverdue);
+        if (options.onSleep) this.on('sleep', options.onSleep);
+        if (options.onWake) this.on('wake', options.onWake);
+        if (options.onClipsChange) this.on('clipsChange', options.onClipsChange);
+
+        this.container = null;
+        this.fishList = [];
+        this.leavingFish = [];
+        this.pointers = new Map(); // Pointer ID -> { x, y } for every mouse, pen and touch
+        this.containerRect = { left: 0, top: 0 }; // Pointers are in viewport coordinates, fish in container coordinates
+        this.resizeObserver = null;
+        this.restoreTargetPosition = null;
+        this.swipeStart = null;
+        this.lastSwipeAt = 0;
+        this.animationId = null;
+        this.lastTime = 0;
+
+        this.init();
+    }
+
+    init() {
+        this.createContainer();
+        this.createAllFish();
+        this.updateUrgency();
+        this.setupAccessibility();
+        this.setupEventListeners();
+        this.setupSleep();
+        this.startAnimation();
+
+        if (this.analytics) {
+            this.analytics.start();
+        }
 
-            fish.isAvoiding = distance < 120;
-            fish.targetSpeed = fish.isAvoiding ? this.speed * 3 : this.speed;
+        if (this.storage) {
+            this.loadStoredTasks();
+        } else {
+            this.startSync();
+        }
 
-            // Smooth speed transition
-            const speedDiff = fish.targetSpeed - fish.currentSpeed;
-            fish.currentSpeed += speedDiff * 0.1;
+        if (this.pomodoroMode) {
+            this.startPomodoro();
         }
 
-        // Update X position
-        fish.x -= fish.currentSpeed * deltaTime;
+        if (this.debug) {
+            this.setDebug(true);
+        }
 
-        // Wrap around when fish goes off screen
-        if (fish.x < -400) {
-            fish.x = window.innerWidth + 100;
+        if (this.clipDrawerOptions) {
+            this.setClipDrawer(this.clipDrawerOptions);
         }
+    }
 
-        // Position the fish container (no rotation here)
-        fish.element.style.transform = `translate(${fish.x}px, 0px)`;
+    /**
+     * Replace the configured tasks with stored ones (if any) and follow
+     * changes made in other tabs. Until loading finishes nothing is saved, so
+     * the defaults never overwrite stored tasks; changes made in the meantime
+     * are applied on top of the stored tasks once they arrive.
+     */
+    loadStoredTasks() {
+        const initial = new Map(this.tasks.map(task => [task.id, task]));
 
-        // Position individual parts relative to container - spread letters slightly
-        const letterSpacing = this.fontSize * 0.55; // Increased from 0.45 to 0.55 for better spacing
-        const textWidth = fish.text.length * letterSpacing;
+        this.storage.load()
+            .then(stored => {
+                if (!this.container) return;
 
-        // Scale sprites based on font size (base size 16px)
-        const spriteScale = this.fontSize / 16;
+                this.storageReady = true;
+                if (stored) {
+                    const merged = this.applyChangesSince(initial, stored);
+                    this.replaceTasks(merged || stored, { persist: Boolean(merged) });
+                } else {
+                    this.persistTasks();
+                }
+                this.storage.subscribe(tasks => {
+                    if (this.container) this.replaceTasks(tasks, { persist: false });
+                });
+            })
+            .catch(error => {
+                console.error('BrainFish: could not load stored tasks', error);
+            })
+            .then(() => this.startSync());
+    }
 
-        // Calculate positions for each fish part along the wave path - adjusted for better text alignment
-        const textStartOffset = -5; // Move text slightly toward tail
-        const headX = fish.x - (25 * spriteScale);
-        const pectoralX = fish.x + textStartOffset + (textWidth * 0.15);
-        const ventralX = fish.x + textStartOffset + (textWidth * 0.6); // Moved closer to tail
-        const tailX = fish.x + textStartOffset + textWidth - 5; // Closer to last letter
+    /**
+     * `tasks` with the changes made to this.tasks since it held `initial`
+     * applied: added and edited tasks replace or join them, removed ones are
+     * dropped. Null when nothing changed.
+     */
+    applyChangesSince(initial, tasks) {
+        const current = new Set(this.tasks.map(task => task.id));
+        const changed = new Map(this.tasks.filter(task => initial.get(task.id) !== task).map(task => [task.id, task]));
+        const removed = new Set(Array.from(initial.keys()).filter(id => !current.has(id)));
+        if (changed.size === 0 && removed.size === 0) return null;
+
+        const merged = tasks
+            .filter(task => !removed.has(String(task.id)))
+            .map(task => {
+                const local = changed.get(String(task.id));
+                changed.delete(String(task.id));
+                return local || task;
+            });
+        return merged.concat(Array.from(changed.values()));
+    }
 
-        // Position fish parts individually on the wave path with rotation and scaling
-        const headY = this.calculateWormPath(headX, fish.index, fish);
-        const headAngle = this.calculateTangentAngle(headX, fish.index, fish);
-        fish.parts.head.style.transform = `translate(${-25 * spriteScale}px, ${headY - (15 * spriteScale)}px) rotate(${headAngle}deg) scale(${spriteScale})`;
+    /**
+     * Start remote sync once local tasks are in place
+     */
+    startSync() {
+        if (!this.syncEngine || !this.container) return;
+        this.syncEngine.start();
+    }
 
-        const pectoralY = this.calculateWormPath(pectoralX, fish.index, fish);
-        const pectoralAngle = this.calculateTangentAngle(pectoralX, fish.index, fish);
-        fish.parts.pectoral.style.transform = `translate(${textStartOffset + (textWidth * 0.15)}px, ${pectoralY - (25 * spriteScale)}px) rotate(${pectoralAngle}deg) scale(${spriteScale})`;
+    persistTasks() {
+        if (!this.storage || !this.storageReady) return;
 
-        const ventralY = this.calculateWormPath(ventralX, fish.index, fish);
-        const ventralAngle = this.calculateTangentAngle(ventralX, fish.index, fish);
-        fish.parts.ventral.style.transform = `translate(${textStartOffset + (textWidth * 0.6)}px, ${ventralY - (10 * spriteScale)}px) rotate(${ventralAngle}deg) scale(${spriteScale})`;
+        this.storage.save(this.tasks).catch(error => {
+            console.error('BrainFish: could not save tasks', error);
+        });
+    }
 
-        const tailY = this.calculateWormPath(tailX, fish.index, fish);
-        const tailAngle = this.calculateTangentAngle(tailX, fish.index, fish);
-        fish.parts.tail.style.transform = `translate(${textStartOffset + textWidth - 5}px, ${tailY - (10 * spriteScale)}px) rotate(${tailAngle}deg) scale(${spriteScale})`;
+    /**
+     * Create this instance's container: a fixed strip across the top of the
+     * page, or a layer filling the target element. Other instances are left alone.
+     */
+    createContainer() {
+        const target = typeof this.target === 'string' ? document.querySelector(this.target) : this.target;
+        if (this.target && !target) {
+            throw new Error(`BrainFish: target ${this.target} was not found`);
+        }
 
-        // Position and scale letters with wave effect - each follows the path
-        fish.letters.forEach((letter, i) => {
-            const letterX = fish.x + textStartOffset + (i * letterSpacing);
-            const letterY = this.calculateWormPath(letterX, fish.index, fish);
-            const letterProgress = i / (fish.letters.length - 1);
-
-            // Position letter on the wave path with text offset
-            letter.style.transform = `translate(${textStartOffset + (i * letterSpacing)}px, ${letterY}px)`;
-
-            // Scale letters (bigger in middle, smaller at ends)
-            let scale = 1.0;
-            if (letterProgress < 0.3) {
-                scale = 0.8 + (letterProgress / 0.3) * 0.2;
-            } else if (letterProgress > 0.7) {
-                scale = 1.0 - ((letterProgress - 0.7) / 0.3) * 0.3;
+        this.container = document.createElement('div');
+        this.container.className = 'brainfish-container';
+        if (this.interactive) {
+            this.container.classList.add('brainfish-interactive');
+        }
+
+        if (target) {
+            // The layer is absolutely positioned, so the target has to be a containing block
+            if (window.getComputedStyle(target).position === 'static') {
+                const previous = target.style.position;
+                target.style.position = 'relative';
+                this.restoreTargetPosition = () => { target.style.position = previous; };
             }
+            this.container.classList.add('brainfish-mounted');
+            target.appendChild(this.container);
+        } else {
+            document.body.appendChild(this.container);
+        }
 
-            letter.style.fontSize = `${this.fontSize * scale}px`;
+        this.renderer = this.createRenderer();
+        this.renderer.mount(this.container);
+        this.renderer.setContainerState('mirrored', this.simulation.mirror);
+        this.updateBounds();
+    }
+
+    /**
+     * Size the swim lane from the container: path width and, for mounted
+     * widgets without an explicit prioritySpread, the vertical spread
+     */
+    updateBounds() {
+        if (!this.container) return;
+
+        this.updateContainerRect();
+        const width = this.container.clientWidth || window.innerWidth;
+        this.simulation.setWidth(width);
+        this.fishList.forEach((fish, index) => {
+            if (fish.x > width) {
+                fish.x = width + (index * this.simulation.fishSpacing);
+            }
         });
+
+        if (this.autoSpread) {
+            const height = this.container.clientHeight;
+            const spread = Math.max(0, height - this.simulation.baseY - this.fontSize * 1.5 - this.waveAmplitude * 1.3);
+            if (spread !== this.prioritySpread) {
+                this.prioritySpread = spread;
+                // Before the first fish exist, createAllFish picks the spread up
+                if (this.fishList.length > 0) this.syncFish();
+            }
+        }
     }
 
-    startAnimation() {
-        const animate = (currentTime) => {
-            // Calculate delta time in seconds
-            const deltaTime = this.lastTime ? (currentTime - this.lastTime) / 1000 : 0;
-            this.lastTime = currentTime;
+    /**
+     * Cache where the container is on screen. Reading it every frame forces a
+     * layout, so it's refreshed on resize and scroll instead.
+     */
+    updateContainerRect() {
+        if (this.container) this.containerRect = this.container.getBoundingClientRect();
+    }
 
-            // Skip large delta times (e.g., when tab becomes active again)
-            if (deltaTime > 0.1) {
-                this.animationId = requestAnimationFrame(animate);
-                return;
+    createRenderer() {
+        if (this.rendererType === 'canvas') {
+            const CanvasRenderer = resolveModule(
+                typeof BrainFishCanvasRenderer !== 'undefined' && BrainFishCanvasRenderer,
+                './brainfish-canvas-renderer'
+            );
+            return new CanvasRenderer(this, { spriteUrl: this.spriteUrl });
+        }
+        return new BrainFishDomRenderer(this);
+    }
+
+    /**
+     * Subscribe to widget events: taskClick, taskComplete, tasksChange,
+     * syncStart, syncEnd, syncError, pomodoroStart, pomodoroEnd, breakStart, breakEnd,
+     * taskSwipe, taskSnooze
+     */
+    on(type, handler) {
+        if (!this.listeners[type]) this.listeners[type] = [];
+        this.listeners[type].push(handler);
+        return this;
+    }
+
+    off(type, handler) {
+        if (!this.listeners[type]) return this;
+        this.listeners[type] = handler
+            ? this.listeners[type].filter(existing => existing !== handler)
+            : [];
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.listeners[type] || []).slice().forEach(handler => {
+            try {
+                handler({ type: type, target: this, ...detail });
+            } catch (error) {
+                console.error(`BrainFish: ${type} handler failed`, error);
             }
+        });
+    }
 
-            // Update each fish
-            this.fishList.forEach(fish => {
-                this.updateFish(fish, deltaTime);
-            });
+    /**
+     * ID for a task given without one, derived from its title so the same
+     * task keeps its ID across page loads (32-bit FNV-1a hash)
+     */
+    static getTitleTaskId(title) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < title.length; i++) {
+            hash ^= title.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return 'task-' + (hash >>> 0).toString(36);
+    }
 
-            this.animationId = requestAnimationFrame(animate);
-        };
+    /**
+     * `id`, or `id-2`, `id-3`... when it's already taken
+     */
+    static getUniqueTaskId(id, takenIds) {
+        let unique = id;
+        for (let n = 2; takenIds.has(unique); n++) {
+            unique = `${id}-${n}`;
+        }
+        return unique;
+    }
 
-        this.animationId = requestAnimationFrame(animate);
+    /**
+     * Generate a task ID, preferring crypto.randomUUID to match the macOS UUIDs
+     */
+    static generateTaskId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return 'task-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
     }
 
-    setupEventListeners() {
-        if (this.avoidMouse) {
-            document.addEventListener('mousemove', (e) => {
-                this.mouseX = e.clientX;
-                this.mouseY = e.clientY;
-            });
+    static hasTaskId(task) {
+        return typeof task === 'object' && task.id !== undefined && task.id !== null;
+    }
+
+    /**
+     * Convert a plain string or partial task object into a full task object
+     * ({id, title, notes, dueDate, priority, completed, remainingTime, lastModified}). Strings
+     * keep their array position as their only priority signal. Throws a
+     * TypeError for anything without a title.
+     */
+    static normalizeTask(task) {
+        const title = typeof task === 'string' ? task : task && typeof task === 'object' ? String(task.title || '') : '';
+        if (!title.trim()) {
+            throw new TypeError(`BrainFish: a task needs a title, got ${JSON.stringify(task)}`);
         }
 
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            this.fishList.forEach((fish, index) => {
-                if (fish.x > window.innerWidth) {
-                    fish.x = window.innerWidth + (index * 300);
-                }
-            });
+        if (typeof task === 'string') {
+            return {
+                id: BrainFishWidget.getTitleTaskId(title),
+                title: task,
+                notes: null,
+                dueDate: null,
+                priority: null,
+                completed: false,
+                remainingTime: null,
+                color: null,
+                lastModified: null // Unknown, so older than any edit when syncing
+            };
+        }
+
+        const dueDate = BrainFishWidget.parseDate(task.dueDate);
+        return {
+            id: BrainFishWidget.hasTaskId(task) ? String(task.id) : BrainFishWidget.getTitleTaskId(title),
+            title: title,
+            notes: task.notes || null,
+            dueDate: dueDate,
+            priority: PRIORITY_LEVELS[task.priority] ? task.priority : null,
+            completed: Boolean(task.completed),
+            remainingTime: typeof task.remainingTime === 'number' ? Math.max(0, task.remainingTime) : null, // Seconds left in Pomodoro mode
+            color: task.color || null, // Overrides the theme's letter colour
+            lastModified: BrainFishWidget.parseDate(task.lastModified) // Null when unknown
+        };
+    }
+
+    static parseDate(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Normalize a task list. Entries without a title are skipped with a
+     * warning, and repeated IDs get a -2, -3... suffix. `match` may supply an
+     * existing ID for strings and objects given without an ID.
+     */
+    static normalizeTasks(tasks, match = () => null) {
+        const ids = new Set();
+        const normalized = [];
+        tasks.forEach(task => {
+            let result;
+            try {
+                result = BrainFishWidget.normalizeTask(task);
+            } catch (error) {
+                console.warn(`${error.message}; skipping it`);
+                return;
+            }
+            if (!BrainFishWidget.hasTaskId(task)) {
+                result.id = match(result) || result.id;
+            }
+            result.id = BrainFishWidget.getUniqueTaskId(result.id, ids);
+            ids.add(result.id);
+            normalized.push(result);
         });
+        return normalized;
     }
 
-    updateTasks(newTasks) {
-        this.destroy();
-        this.tasks = newTasks;
-        this.init();
+    /**
+     * Classify how close a task is to its due date
+     */
+    static getUrgency(task, now = Date.now(), levels = URGENCY_LEVELS) {
+        if (!task.dueDate || task.completed) return 'none';
+        const timeLeft = (task.dueDate.getTime() - now) / 1000;
+        if (timeLeft < 0) return 'overdue';
+        if (timeLeft < (levels.imminent.within || 0)) return 'imminent';
+        if (timeLeft < (levels.soon.within || 0)) return 'soon';
+        return 'none';
     }
 
-    destroy() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
+    /**
+     * Urgency levels with per-level overrides, e.g.
+     * { soon: { within: 3 * 60 * 60 }, overdue: { pulse: false } }
+     */
+    static createUrgencyLevels(overrides = {}) {
+        const levels = {};
+        Object.keys(URGENCY_LEVELS).forEach(name => {
+            levels[name] = { ...URGENCY_LEVELS[name], ...(overrides[name] || {}) };
+        });
+        return levels;
+    }
 
-        if (this.container) {
-            this.container.remove();
-            this.container = null;
+    /**
+     * Ask for permission to show overdue notifications. Browsers only allow
+     * this from a user gesture such as a click.
+     */
+    static requestNotificationPermission() {
+        if (typeof Notification === 'undefined') return Promise.resolve('denied');
+        return Promise.resolve(Notification.requestPermission());
+    }
+
+    /**
+     * Register a theme by name. Every field is optional and falls back to the
+     * default red theme:
+     *   color, outline, glow - letter colour, outline colour and an always-on glow
+     *   sprite - { url, width, height, parts: { head, pectoral, ventral, tail } },
+     *            with part rectangles { x, y, width, height } in a sheet drawn
+     *            at width x height px
+     */
+    static registerTheme(name, theme) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('BrainFish: registerTheme needs a theme name');
         }
+        THEMES[name] = BrainFishWidget.createTheme(theme);
+        return THEMES[name];
+    }
+
+    static getTheme(name) {
+        return THEMES[name] || null;
+    }
+
+    static getThemeNames() {
+        return Object.keys(THEMES);
+    }
+
+    static createTheme(theme = {}) {
+        const sprite = theme.sprite || {};
+        return {
+            color: theme.color || '#FF3B30',
+            outline: theme.outline || '#000',
+            glow: theme.glow || null,
+            sprite: {
+                ...DEFAULT_SPRITE,
+                ...sprite,
+                parts: { ...DEFAULT_SPRITE.parts, ...(sprite.parts || {}) }
+            }
+        };
+    }
+
+    /**
+     * Theme for the theme option: a registered name or an inline theme object
+     */
+    static resolveTheme(theme) {
+        if (theme && typeof theme === 'object') return BrainFishWidget.createTheme(theme);
+        if (THEMES[theme]) return THEMES[theme];
+
+        console.warn(`BrainFish: unknown theme ${theme}, using red`);
+        return THEMES.red;
+    }
+
+    getFishColor(fish) {
+        return fish.task.color || this.themeSpec.color;
+    }
+
+    getVisibleTasks() {
+        return this.tasks.filter(task =>
+            !this.snoozed.has(task.id) && (this.completedFish === 'dim' || !task.completed)
+        );
+    }
 
+    createAllFish() {
         this.fishList = [];
+
+        this.getVisibleTasks().forEach((task, index) => {
+            const fishData = this.createSingleFish(task, index);
+            this.fishList.push(fishData);
+        });
     }
-}
+
+    /**
+     * Vertical position (0 = top of the spread, 1 = bottom) and speed multiplier
+     * for a task. Tasks without an explicit priority fall back to array order.
+     */
+    getTaskPlacement(task, index, total) {
+        const urgencyName = this.getTaskUrgency(task);
+        const urgency = this.urgencyLevels[urgencyName];
+        const level = task.priority ? PRIORITY_LEVELS[task.priority] : null;
+        const rank = level ? level.rank : index / Math.max(total - 1, 1);
+
+        return {
+            rank: Math.max(0, rank - urgency.lift),
+            speedMultiplier: (level ? level.speed : 1.0) * urgency.speed,
+            urgency: urgencyName
+        };
+    }
+
+    getTaskUrgency(task, now = Date.now()) {
+        return BrainFishWidget.getUrgency(task, now, this.urgencyLevels);
+    }
+
+    /**
+     * Font size for a fish's letters, larger as its due date approaches
+     */
+    getFishFontSize(fish) {
+        return this.fontSize * this.urgencyLevels[fish.urgency].fontScale;
+    }
+
+    /**
+     * Text shown on a fish: the title, plus the countdown in Pomodoro mode
+     * (same format as the macOS app)
+     */
+    getFishText(task) {
+        if (!this.pomodoroMode) return task.title;
+        return `${task.title} (${BrainFishWidget.formatTime(this.getRemainingTime(task))})`;
+    }
+
+    /**
+     * Split text into graphemes (user-perceived characters)
+     */
+    static splitGraphemes(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            graphemeSegmenter = graphemeSegmenter || new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            return Array.from(graphemeSegmenter.segment(text), segment => segment.segment);
+        }
+        return text.match(GRAPHEME_FALLBACK) || [];
+    }
+
+    /**
+     * 'rtl' when the first letter is from a right-to-left script, as with dir="auto"
+     */
+    static getTextDirection(text) {
+        const strong = BrainFishWidget.splitGraphemes(text).map(getBidiType).find(type => type === 'L' || type === 'R');
+        return strong === 'R' ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Graphemes in left-to-right display order. A simplified Unicode
+     * bidirectional algorithm: right-to-left runs are reversed with their
+     * brackets mirrored, while numbers and embedded left-to-right words keep
+     * reading left to right.
+     */
+    static toVisualOrder(graphemes, direction = BrainFishWidget.getTextDirection(graphemes.join(''))) {
+        const rtl = direction === 'rtl';
+        const base = rtl ? 'R' : 'L';
+        const types = graphemes.map(getBidiType);
+
+        types.forEach((type, i) => {
+            if (type === 'N' && NUMBER_SEPARATOR.test(graphemes[i]) && types[i - 1] === 'D' && types[i + 1] === 'D') types[i] = 'D';
+        });
+
+        // Numbers after left-to-right text belong to it
+        let strong = base;
+        types.forEach((type, i) => {
+            if (type === 'L' || type === 'R') strong = type;
+            else if (type === 'D' && strong === 'L') types[i] = 'L';
+        });
+
+        // Neutrals between text of one direction take it (numbers count as
+        // right-to-left here), the rest take the title's direction
+        const side = type => (type === 'D' ? 'R' : type);
+        const resolved = types.map((type, i) => {
+            if (type !== 'N') return type;
+            const before = side(types.slice(0, i).reverse().find(other => other !== 'N') || base);
+            const after = side(types.slice(i + 1).find(other => other !== 'N') || base);
+            return before === after ? before : base;
+        });
+
+        // Embedding levels: odd levels read right to left
+        const levels = resolved.map(type => {
+            if (type === 'R') return 1;
+            return type === 'D' || rtl ? 2 : 0;
+        });
+
+        // Reverse every run at or above each level, from the highest down
+        const order = graphemes.map((grapheme, i) => i);
+        for (let level = Math.max(0, ...levels); level > 0; level--) {
+            for (let start = 0; start < order.length; start++) {
+                if (levels[order[start]] < level) continue;
+                let end = start;
+                while (end + 1 < order.length && levels[order[end + 1]] >= level) end++;
+                order.splice(start, end - start + 1, ...order.slice(start, end + 1).reverse());
+                start = end;
+            }
+        }
+
+        return order.map(i => (levels[i] % 2 ? MIRRORED_PAIRS[graphemes[i]] || graphemes[i] : graphemes[i]));
+    }
+
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        const minutes = Math.floor(total / 60);
+        const secs = total % 60;
+        return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+    }
+
+    setFishText(fish, text) {
+        if (text === fish.text) return;
+        fish.text = text;
+        fish.glyphs = this.getFishGlyphs(text);
+        this.renderer.setText(fish);
+    }
+
+    /**
+     * A title's graphemes in the order they're laid out from the fish's head:
+     * display order when swimming left, reversed when swimming right
+     */
+    getFishGlyphs(text) {
+        const glyphs = BrainFishWidget.toVisualOrder(BrainFishWidget.splitGraphemes(text));
+        return this.simulation.mirror ? glyphs.reverse() : glyphs;
+    }
+
+    createSingleFish(task, index, rendererOptions) {
+        const taskText = this.getFishText(task);
+
+        // Calculate priority-based Y offset (higher priority = higher on screen)
+        // Use prioritySpread setting to control vertical separation
+        const placement = this.getTaskPlacement(task, index, this.getVisibleTasks().length);
+        const priorityOffset = placement.rank * this.prioritySpread;
+
+        const fish = {
+            task: task,
+            text: taskText,
+            glyphs: this.getFishGlyphs(taskText),
+            urgency: placement.urgency,
+            isAvoiding: false,
+            isCaught: false,
+            ...this.simulation.createFishMotion(index, priorityOffset, placement.speedMultiplier)
+        };
+
+        this.renderer.createFish(fish, rendererOptions);
+        return fish;
+    }
+
+    calculateWormPath(x, fishIndex, fishData) {
+        const fish = fishData || this.fishList[fishIndex];
+        return fish ? this.simulation.pathY(fish, x) : this.simulation.baseY;
+    }
+
+    calculateTangentAngle(x, fishIndex, fishData) {
+        const fish = fishData || this.fishList[fishIndex];
+        return fish ? this.simulation.tangentAngle(fish, x) : 0;
+    }
+
+    /**
+     * Advance of each of a fish's glyphs in px, measured in the letters' own
+     * font and cached per font. Without a canvas to measure with, wide glyphs
+     * are estimated at 1em and the rest at 0.55em.
+     */
+    measureGlyphs(fish, fontSize) {
+        const weight = fish.task.priority === 'high' ? 900 : 700;
+        const font = `${weight} ${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        if (fish.advances && fish.measured && fish.measured.font === font && fish.measured.glyphs === fish.glyphs) {
+            return fish.advances;
+        }
+
+        if (this.measureContext === undefined) {
+            try {
+                this.measureContext = document.createElement('canvas').getContext('2d') || null;
+            } catch (error) {
+                this.measureContext = null;
+            }
+            this.glyphWidths = new Map(); // font -> Map(glyph -> px)
+        }
+
+        let widths = this.glyphWidths.get(font);
+        if (!widths) {
+            if (this.glyphWidths.size >= 20) this.glyphWidths.clear(); // Sizes change with urgency and fontSize
+            widths = new Map();
+            this.glyphWidths.set(font, widths);
+        }
+
+        fish.advances = fish.glyphs.map(glyph => {
+            if (!widths.has(glyph)) {
+                if (this.measureContext) {
+                    this.measureContext.font = font;
+                    widths.set(glyph, this.measureContext.measureText(glyph).width);
+                } else {
+                    widths.set(glyph, fontSize * (WIDE_CHAR.test(glyph) ? 1 : 0.55));
+                }
+            }
+            return widths.get(glyph);
+        });
+        fish.measured = { font: font, glyphs: fish.glyphs };
+        return fish.advances;
+    }
+
+    /**
+     * Set a fish's target speed for this frame from its task, the Pomodoro
+     * timer and the cursor
+     */
+    steerFish(fish) {
+        // The focused fish's wave grows with its speed as its countdown runs out
+        fish.waveBoost = 1 + this.getPomodoroUrgency(fish);
+
+        // A caught fish holds still while its animation plays, a keyboard-focused one while it's read
+        const baseSpeed = fish.isCaught || fish.isHeld
+            ? 0
+            : this.speed * fish.speedMultiplier * this.getPomodoroSpeedFactor(fish) * (this.isReducedMotion ? this.reducedMotionSpeed : 1);
+        fish.targetSpeed = baseSpeed;
+
+        // Speed up while the cursor is inside the fish's detection ellipse (not with reduced motion)
+        const fontSize = this.getFishFontSize(fish);
+        fish.fontSize = fontSize;
+        fish.textWidth = this.simulation.textWidth(this.measureGlyphs(fish, fontSize), fontSize);
+        fish.isAvoiding = false;
+        if (this.avoidMouse && !this.isReducedMotion) {
+            const zone = this.simulation.detectionZone(fish, fish.advances, fontSize);
+            fish.isAvoiding = this.isPointerInZone(zone);
+            if (fish.isAvoiding) {
+                fish.targetSpeed = baseSpeed * this.simulation.avoidance.speedFactor;
+            }
+        }
+    }
+
+    /**
+     * Move every fish one frame: steer each, let the school keep its spacing,
+     * step, then draw
+     */
+    updateFish(deltaTime) {
+        const swimming = this.fishList.concat(this.leavingFish);
+        swimming.forEach(fish => this.steerFish(fish));
+        this.simulation.school(this.fishList);
+        swimming.forEach(fish => this.simulation.step(fish, deltaTime, this.fishList));
+        this.simulation.separate(this.fishList);
+        swimming.forEach(fish => {
+            this.renderer.render(fish, this.simulation.layout(fish, fish.advances, fish.fontSize));
+        });
+    }
+
+    isPointerInZone(zone) {
+        const { left, top } = this.containerRect;
+        return Array.from(this.pointers.values()).some(pointer =>
+            this.simulation.isInZone(zone, this.simulation.toScreenX(pointer.x - left), pointer.y - top)
+        );
+    }
+
+    /**
+     * Start the animation loop unless it's already running or there's nothing
+     * to draw. The loop stops itself once shouldAnimate() turns false.
+     */
+    startAnimation() {
+        if (this.animationId || !this.container || !this.shouldAnimate()) return;
+        this.lastTime = 0; // Don't count the paused time as one long frame
+
+        const animate = (currentTime) => {
+            if (!this.shouldAnimate()) {
+                this.animationId = null;
+                return;
+            }
+
+            // Calculate delta time in seconds
+            const deltaTime = this.lastTime ? (currentTime - this.lastTime) / 1000 : 0;
+            this.lastTime = currentTime;
+
+            // Skip large delta times (e.g., when tab becomes active again)
+            if (deltaTime > 0.1) {
+                this.animationId = requestAnimationFrame(animate);
+                return;
+            }
+
+            // Update each fish, including ones swimming away after removal
+            const updateStart = performance.now();
+            this.simulation.advance(deltaTime);
+            this.renderer.beginFrame();
+            this.updateFish(deltaTime);
+            this.renderer.endFrame();
+            if (this.analytics) this.analytics.recordFrame(deltaTime);
+
+            if (this.debugOverlay) {
+                this.debugOverlay.recordFrame(deltaTime * 1000, performance.now() - updateStart);
+                this.debugOverlay.draw();
+            }
+
+            this.animationId = requestAnimationFrame(animate);
+        };
+
+        this.animationId = requestAnimationFrame(animate);
+    }
+
+    stopAnimation() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    /**
+     * Frames are only needed while the page is visible and some fish are
+     * awake or still swimming away
+     */
+    shouldAnimate() {
+        if (this.pauseWhenHidden && document.hidden) return false;
+        return !this.isSleeping || this.leavingFish.length > 0;
+    }
+
+    setupEventListeners() {
+        // Pointers are tracked even with avoidMouse off, so it can be switched on live.
+        // Pointer Events cover mouse, pen and touch; simultaneous touches are tracked separately
+        this.handlePointerMove = (e) => {
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        };
+        // The mouse keeps hovering after a button release, a lifted finger or pen is gone
+        this.handlePointerEnd = (e) => {
+            if (e.pointerType !== 'mouse') this.pointers.delete(e.pointerId);
+        };
+        document.addEventListener('pointerdown', this.handlePointerMove);
+        document.addEventListener('pointermove', this.handlePointerMove);
+        document.addEventListener('pointerup', this.handlePointerEnd);
+        document.addEventListener('pointercancel', this.handlePointerEnd);
+
+        if (this.swipe) {
+            this.renderer.setContainerState('swipeable', true);
+            this.handleSwipeStart = (e) => {
+                const fish = this.renderer.getFishAt(e);
+                if (!fish || fish.isCaught || fish.task.completed) return;
+                this.swipeStart = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, time: e.timeStamp, fish: fish };
+            };
+            this.handleSwipeEnd = (e) => {
+                const start = this.swipeStart;
+                if (!start || start.pointerId !== e.pointerId) return;
+                this.swipeStart = null;
+                if (e.type === 'pointerup') this.handleSwipe(start, e);
+            };
+            // Keep a swipe that starts on a fish from scrolling the page. The DOM
+            // renderer's fish have touch-action: none, but the canvas takes no touches.
+            this.handleSwipeMove = (e) => {
+                if (this.swipeStart && e.cancelable) e.preventDefault();
+            };
+            document.addEventListener('pointerdown', this.handleSwipeStart);
+            document.addEventListener('pointerup', this.handleSwipeEnd);
+            document.addEventListener('pointercancel', this.handleSwipeEnd);
+            document.addEventListener('touchmove', this.handleSwipeMove, { passive: false });
+        }
+
+        if (this.interactive) {
+            this.renderer.onFishClick((fish, e) => this.handleFishClick(fish, e));
+        }
+
+        if (this.debugShortcut || this.editorShortcut) {
+            // Only the first widget on the page to handle a shortcut acts on it
+            const runShortcut = (e, action) => {
+                try {
+                    action();
+                    e.preventDefault();
+                } catch (error) {
+                    console.warn('BrainFish: keyboard shortcut failed', error);
+                }
+            };
+            this.handleKeyDown = (e) => {
+                if (e.defaultPrevented) return;
+                if (this.debugShortcut && BrainFishWidget.matchesShortcut(e, this.debugShortcut)) {
+                    runShortcut(e, () => this.toggleDebug());
+                } else if (this.editorShortcut && BrainFishWidget.matchesShortcut(e, this.editorShortcut)) {
+                    runShortcut(e, () => this.toggleEditor());
+                }
+            };
+            document.addEventListener('keydown', this.handleKeyDown);
+        }
+
+        // Follow the container's size and its position on screen. Capturing
+        // scroll catches scrolling ancestors as well as the page.
+        this.handleResize = () => this.updateBounds();
+        this.handleScroll = () => this.updateContainerRect();
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(this.handleResize);
+            this.resizeObserver.observe(this.container);
+        }
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('scroll', this.handleScroll, { capture: true, passive: true });
+    }
+
+    // Accessibility
+
+    /**
+     * Fish letters are separate, aria-hidden spans, so assistive tech reads a
+     * visually hidden list of full task titles instead. In interactive mode
+     * each entry is a button: focusing it highlights and holds its fish,
+     * activating it completes the task. Changes are announced in a live region.
+     */
+    setupAccessibility() {
+        this.accessibleList = document.createElement('ul');
+        this.accessibleList.className = 'brainfish-sr-only';
+        this.accessibleList.setAttribute('aria-label', this.ariaLabel);
+
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'brainfish-sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+
+        this.container.appendChild(this.accessibleList);
+        this.container.appendChild(this.liveRegion);
+        this.updateAccessibleList();
+
+        // Kept so destroy() can remove them before a later init() adds them again
+        const minutes = seconds => `${Math.max(1, Math.round(seconds / 60))} minutes`;
+        this.announcers = {
+            taskComplete: e => this.announce(`Completed: ${e.task.title}`),
+            taskSnooze: e => this.announce(`Snoozed: ${e.task.title}`),
+            taskOverdue: e => this.announce(`Overdue: ${e.task.title}`),
+            pomodoroStart: e => this.announce(`Focus on ${e.task.title} for ${minutes(e.duration)}`),
+            breakStart: e => this.announce(`Break for ${minutes(e.duration)}`)
+        };
+        Object.keys(this.announcers).forEach(type => this.on(type, this.announcers[type]));
+
+        // Follow the OS setting live when reducedMotion is 'auto'
+        if (typeof window.matchMedia === 'function') {
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.handleMotionChange = () => this.applyReducedMotion();
+            if (this.motionQuery.addEventListener) {
+                this.motionQuery.addEventListener('change', this.handleMotionChange);
+            } else {
+                this.motionQuery.addListener(this.handleMotionChange);
+            }
+        }
+        this.applyReducedMotion();
+    }
+
+    /**
+     * Reduced motion: slower fish on a flat path, no avoidance bursts and no
+     * pulsing animations
+     */
+    applyReducedMotion() {
+        this.isReducedMotion = this.reducedMotion === 'auto'
+            ? Boolean(this.motionQuery && this.motionQuery.matches)
+            : this.reducedMotion === true;
+
+        this.renderer.setContainerState('reduced-motion', this.isReducedMotion);
+        this.simulation.setWave({ amplitude: this.isReducedMotion ? 0 : this.waveAmplitude });
+    }
+
+    getTaskDescription(task) {
+        const details = [task.title];
+        if (task.priority === 'high' || task.priority === 'low') details.push(`${task.priority} priority`);
+
+        const urgency = this.getTaskUrgency(task);
+        if (urgency === 'overdue') details.push('overdue');
+        if (task.dueDate) details.push(`due ${task.dueDate.toLocaleString()}`);
+        if (task.completed) details.push('completed');
+        if (this.pomodoro.phase === 'focus' && this.pomodoro.taskId === task.id) details.push('in focus');
+
+        return details.join(', ');
+    }
+
+    /**
+     * Bring the list in line with the visible fish. Entries are updated in
+     * place so keyboard focus survives task changes.
+     */
+    updateAccessibleList() {
+        if (!this.accessibleList) return;
+
+        const tasks = this.getVisibleTasks();
+        const ids = new Set(tasks.map(task => task.id));
+        let lostFocusAt = -1;
+
+        this.accessibleItems.forEach((entry, id) => {
+            if (!ids.has(id)) {
+                if (entry.item.contains(document.activeElement)) {
+                    lostFocusAt = Array.prototype.indexOf.call(this.accessibleList.children, entry.item);
+                }
+                entry.item.remove();
+                this.accessibleItems.delete(id);
+            }
+        });
+
+        tasks.forEach((task, index) => {
+            let entry = this.accessibleItems.get(task.id);
+            if (!entry) {
+                entry = this.createAccessibleItem(task.id);
+                this.accessibleItems.set(task.id, entry);
+            }
+            const description = this.getTaskDescription(task);
+            if (entry.label.textContent !== description) entry.label.textContent = description;
+            if (this.interactive) entry.label.disabled = task.completed;
+
+            // Only move entries that are out of order, moving an element drops its focus
+            if (this.accessibleList.children[index] !== entry.item) {
+                this.accessibleList.insertBefore(entry.item, this.accessibleList.children[index] || null);
+            }
+        });
+
+        // Keep keyboard users in the list when the focused task goes away
+        const next = this.accessibleList.children[Math.min(lostFocusAt, this.accessibleList.children.length - 1)];
+        if (lostFocusAt !== -1 && next) {
+            (next.firstElementChild || next).focus();
+        }
+    }
+
+    createAccessibleItem(id) {
+        const item = document.createElement('li');
+        item.dir = 'auto'; // Titles in right-to-left scripts read right to left
+        let label = item;
+
+        if (this.interactive) {
+            label = document.createElement('button');
+            label.type = 'button';
+            label.addEventListener('click', (e) => {
+                const fish = this.fishList.find(candidate => candidate.task.id === id);
+                if (fish) this.handleFishClick(fish, e);
+            });
+            item.appendChild(label);
+        } else {
+            item.tabIndex = 0; // Still reachable with Tab, to hold a fish and read it
+        }
+        label.addEventListener('focus', () => this.setKeyboardFocus(id, true));
+        label.addEventListener('blur', () => this.setKeyboardFocus(id, false));
+
+        return { item: item, label: label };
+    }
+
+    /**
+     * Highlight and hold the fish of a focused list entry, bringing it into
+     * view if it's off-screen
+     */
+    setKeyboardFocus(id, on) {
+        const fish = this.fishList.find(candidate => candidate.task.id === id);
+        if (!fish) return;
+
+        fish.isHeld = on;
+        this.renderer.setState(fish, 'keyboard-focus', on);
+
+        const fontSize = this.getFishFontSize(fish);
+        const textWidth = this.simulation.textWidth(this.measureGlyphs(fish, fontSize), fontSize);
+        if (on && (fish.x < 0 || fish.x + textWidth > this.simulation.width)) {
+            fish.x = Math.max(40, this.simulation.width - textWidth - 40);
+        }
+    }
+
+    announce(message) {
+        if (!this.liveRegion) return;
+
+        // Clear first so repeating the same message is announced again
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            if (this.liveRegion) this.liveRegion.textContent = message;
+        }, 50);
+    }
+
+    // Sleep
+
+    /**
+     * Save battery: stop drawing while the tab is hidden, send the fish away
+     * for sleepDuration minutes every sleepInterval minutes and, with
+     * pauseWhenIdle, after idleTimeout minutes without any input
+     */
+    setupSleep() {
+        this.handleVisibilityChange = () => {
+            if (document.hidden && this.pauseWhenHidden) {
+                this.stopAnimation();
+            } else {
+                this.startAnimation();
+            }
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.scheduleSleepCycle();
+        this.setIdleDetection(this.pauseWhenIdle);
+    }
+
+    /**
+     * Fish swim away and, once they're gone, the animation loop stops. They
+     * stay away until every reason to sleep ('cycle', 'idle', 'manual') has
+     * been cleared with wake().
+     */
+    sleep(reason = 'manual') {
+        this.sleepReasons.add(reason);
+        if (this.isSleeping) return;
+
+        this.isSleeping = true;
+        this.syncFish();
+        this.emit('sleep', { reason: reason });
+    }
+
+    /**
+     * Clear one reason to sleep, or all of them when called without one. Once
+     * none are left, fresh fish swim in from the right as on first start.
+     */
+    wake(reason) {
+        if (reason === undefined) {
+            this.sleepReasons.clear();
+            this.lastActivity = Date.now();
+        } else {
+            this.sleepReasons.delete(reason);
+        }
+
+        // Nobody around: stay asleep for the idle reason instead
+        if (this.handleActivity) this.checkIdle();
+        if (!this.isSleeping || this.sleepReasons.size > 0) return;
+
+        this.isSleeping = false;
+        this.fishList = this.getVisibleTasks().map((task, index) =>
+            this.createSingleFish(task, index, { entering: true })
+        );
+        this.updatePomodoroFish();
+        this.startAnimation();
+        this.emit('wake', { reason: reason || 'manual' });
+    }
+
+    /**
+     * Alternate between sleepInterval minutes awake and sleepDuration minutes
+     * asleep, starting from now
+     */
+    scheduleSleepCycle() {
+        clearTimeout(this.sleepTimer);
+        this.sleepTimer = null;
+
+        if (!this.sleepInterval) {
+            if (this.sleepReasons.has('cycle')) this.wake('cycle');
+            return;
+        }
+
+        const asleep = this.sleepReasons.has('cycle');
+        const minutes = asleep ? this.sleepDuration : this.sleepInterval;
+        this.sleepTimer = setTimeout(() => {
+            if (asleep) {
+                this.wake('cycle');
+            } else {
+                this.sleep('cycle');
+            }
+            this.scheduleSleepCycle();
+        }, minutes * 60000);
+    }
+
+    setIdleDetection(on) {
+        this.pauseWhenIdle = on;
+        if (on && !this.handleActivity) {
+            // Only record the time here, pointermove fires far too often for timers
+            this.handleActivity = () => {
+                this.lastActivity = Date.now();
+                if (this.sleepReasons.has('idle')) this.wake('idle');
+            };
+            ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.handleActivity, { passive: true }));
+            this.lastActivity = Date.now();
+            this.checkIdle();
+        } else if (!on) {
+            this.removeActivityListeners();
+            if (this.sleepReasons.has('idle')) this.wake('idle');
+        }
+    }
+
+    /**
+     * Stop watching for input, leaving the pauseWhenIdle option as it is
+     */
+    removeActivityListeners() {
+        if (!this.handleActivity) return;
+
+        ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.handleActivity, { passive: true }));
+        this.handleActivity = null;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+    }
+
+    /**
+     * Sleep once idleTimeout minutes have passed since the last input,
+     * otherwise check again when they would have
+     */
+    checkIdle() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+
+        const remaining = this.lastActivity + this.idleTimeout * 60000 - Date.now();
+        if (remaining <= 0) {
+            this.sleep('idle');
+        } else {
+            this.idleTimer = setTimeout(() => this.checkIdle(), remaining);
+        }
+    }
+
+    /**
+     * Change settings on the running widget without recreating it. Fish keep
+     * their positions: speed and wave changes ease in, themes and font sizes
+     * apply to the existing fish, and priority spread changes glide to the
+     * new lanes. Options that can't change live are reported with a warning.
+     */
+    setOptions(partial = {}) {
+        Object.keys(partial).forEach(name => {
+            const value = partial[name];
+
+            switch (name) {
+                case 'theme':
+                    this.theme = value;
+                    this.themeSpec = BrainFishWidget.resolveTheme(value);
+                    this.fishList.concat(this.leavingFish).forEach(fish => this.renderer.updateFish(fish));
+                    break;
+                case 'fontSize':
+                    // Letters are laid out from fontSize every frame
+                    this.fontSize = value;
+                    this.updateBounds();
+                    break;
+                case 'speed':
+                    // Fish ease towards the new speed through their speed lerp
+                    this.speed = value;
+                    this.simulation.speed = value;
+                    break;
+                case 'waveAmplitude':
+                    this.waveAmplitude = value;
+                    this.applyReducedMotion();
+                    break;
+                case 'reducedMotion':
+                    this.reducedMotion = value;
+                    this.applyReducedMotion();
+                    break;
+                case 'reducedMotionSpeed':
+                    this.reducedMotionSpeed = value;
+                    break;
+                case 'waveFrequency':
+                    this.waveFrequency = value;
+                    this.simulation.setWave({ frequency: value });
+                    break;
+                case 'prioritySpread':
+                    this.prioritySpread = value;
+                    this.autoSpread = false;
+                    this.syncFish();
+                    break;
+                case 'avoidance':
+                    this.simulation.avoidance = { ...this.simulation.avoidance, ...value };
+                    break;
+                case 'analytics':
+                    // Recording restarts with the new options; what's stored is kept
+                    if (this.analytics) this.analytics.stop();
+                    this.analytics = value ? this.createAnalytics(value) : null;
+                    if (this.analytics && this.container) this.analytics.start();
+                    break;
+                case 'swimDirection':
+                    this.simulation.mirror = value === 'right';
+                    if (this.renderer) this.renderer.setContainerState('mirrored', this.simulation.mirror);
+                    this.fishList.concat(this.leavingFish).forEach(fish => {
+                        fish.glyphs = this.getFishGlyphs(fish.text);
+                        this.renderer.setText(fish);
+                    });
+                    break;
+                case 'schooling':
+                    this.simulation.schooling = value === false
+                        ? null
+                        : { ...(this.simulation.schooling || this.simulation.constructor.DEFAULT_SCHOOLING), ...value };
+                    break;
+                case 'avoidMouse':
+                    this.avoidMouse = value !== false;
+                    break;
+                case 'completedFish':
+                    this.completedFish = value;
+                    this.syncFish();
+                    break;
+                case 'snoozeTime':
+                    this.snoozeTime = value;
+                    break;
+                case 'urgency':
+                    this.urgencyLevels = BrainFishWidget.createUrgencyLevels(value);
+                    this.syncFish();
+                    break;
+                case 'quickAdd':
+                    this.quickAdd = value || false;
+                    break;
+                case 'notifyOverdue':
+                    this.notifyOverdue = value === true;
+                    break;
+                case 'pomodoroMode':
+                    // Turning it off pauses the countdown, keeping the focused task's time
+                    if ((value === true) === this.pomodoroMode) break;
+                    this.pomodoroMode = value === true;
+                    if (this.pomodoroMode) {
+                        this.startPomodoro();
+                    } else {
+                        this.stopPomodoro();
+                    }
+                    this.updatePomodoroFish();
+                    if (this.editor) this.editor.render(); // Adds or drops its timer column
+                    break;
+                case 'pomodoroLowThreshold':
+                    this.pomodoroLowThreshold = value;
+                    this.updatePomodoroFish();
+                    break;
+                case 'sleepInterval':
+                    this.sleepInterval = value || null;
+                    this.scheduleSleepCycle();
+                    break;
+                case 'sleepDuration':
+                    this.sleepDuration = value || 4;
+                    this.scheduleSleepCycle();
+                    break;
+                case 'pauseWhenHidden':
+                    this.pauseWhenHidden = value !== false;
+                    this.startAnimation();
+                    break;
+                case 'pauseWhenIdle':
+                    this.setIdleDetection(value === true);
+                    break;
+                case 'idleTimeout':
+                    this.idleTimeout = value || 5;
+                    if (this.handleActivity) this.checkIdle();
+                    break;
+                case 'debug':
+                    this.setDebug(value === true);
+                    break;
+                case 'clipDrawer':
+                    if (value && typeof value === 'object' && this.clipDrawer) {
+                        this.clipDrawerOptions = { ...(typeof this.clipDrawerOptions === 'object' ? this.clipDrawerOptions : {}), ...value };
+                        this.clipDrawer.setOptions(value);
+                    } else if (!value || !this.clipDrawer) {
+                        this.setClipDrawer(value);
+                    }
+                    break;
+                case 'tasks':
+                    this.replaceTasks(value);
+                    break;
+                default:
+                    console.warn(`BrainFish: ${name} can't be changed on a running widget; create a new one instead`);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Replace the whole task list. Fish for tasks that are still present keep
+     * swimming; strings and objects without an ID are matched to existing
+     * tasks by title.
+     */
+    updateTasks(newTasks) {
+        this.replaceTasks(newTasks);
+    }
+
+    replaceTasks(newTasks, commitOptions) {
+        const unclaimed = this.tasks.slice();
+        this.tasks = BrainFishWidget.normalizeTasks(newTasks, normalized => {
+            const matchIndex = unclaimed.findIndex(existing => existing.title === normalized.title);
+            return matchIndex === -1 ? null : unclaimed.splice(matchIndex, 1)[0].id;
+        });
+
+        // A destroyed widget only keeps the list; it is never brought back to life
+        if (!this.container) return;
+        this.commitTasks(commitOptions);
+    }
+
+    /**
+     * Add a task (string or object) at the given index, defaulting to the end.
+     * With quickAdd on, strings are parsed for a due date, priority and duration.
+     * Tasks without an ID get a random one: a title-based ID would collide
+     * with the same title added in another tab or on another device. An ID
+     * that's already taken gets a -2, -3... suffix.
+     */
+    addTask(task, index = this.tasks.length) {
+        const source = typeof task === 'string' && this.quickAdd ? this.parseTask(task) : task;
+        const normalized = BrainFishWidget.normalizeTask(source);
+        normalized.lastModified = normalized.lastModified || new Date();
+        if (!BrainFishWidget.hasTaskId(source)) {
+            normalized.id = BrainFishWidget.generateTaskId();
+        }
+        normalized.id = BrainFishWidget.getUniqueTaskId(normalized.id, new Set(this.tasks.map(existing => existing.id)));
+        this.tasks.splice(index, 0, normalized);
+        this.commitTasks();
+        return normalized;
+    }
+
+    removeTask(id) {
+        const index = this.tasks.findIndex(task => task.id === id);
+        if (index === -1) return null;
+
+        const [removed] = this.tasks.splice(index, 1);
+        this.commitTasks();
+        return removed;
+    }
+
+    /**
+     * Merge a patch into an existing task, e.g. updateTask(id, { completed: true })
+     */
+    updateTask(id, patch) {
+        const index = this.tasks.findIndex(task => task.id === id);
+        if (index === -1) return null;
+
+        this.tasks[index] = BrainFishWidget.normalizeTask({
+            ...this.tasks[index],
+            ...patch,
+            id: id,
+            lastModified: patch.lastModified || new Date()
+        });
+        this.commitTasks();
+        return this.tasks[index];
+    }
+
+    /**
+     * Reorder tasks by ID. Tasks missing from the list keep their relative order at the end.
+     */
+    reorderTasks(orderedIds) {
+        const byId = new Map(this.tasks.map(task => [task.id, task]));
+        const ordered = orderedIds.map(id => byId.get(id)).filter(Boolean);
+        const rest = this.tasks.filter(task => !orderedIds.includes(task.id));
+
+        this.tasks = ordered.concat(rest);
+        this.commitTasks();
+    }
+
+    getTask(id) {
+        return this.tasks.find(task => task.id === id) || null;
+    }
+
+    // Import and export (needs js/brainfish-formats.js)
+
+    /**
+     * The task list as text: 'json' (macOS Task format), 'ics' (iCalendar
+     * VTODO) or 'markdown' (checklist)
+     */
+    exportTasks(format = 'json', options) {
+        return this.getFormats().exportTasks(this.tasks, format, options);
+    }
+
+    /**
+     * Add tasks from exported text, detecting the format when it's omitted.
+     * Tasks with a known ID are updated in place and the rest are appended;
+     * with replace: true the imported tasks become the whole list.
+     */
+    importTasks(text, { format, replace = false } = {}) {
+        const parsed = this.getFormats().importTasks(text, format);
+        if (replace) this.tasks = [];
+
+        const imported = parsed.map(task => {
+            const index = task.id ? this.tasks.findIndex(existing => existing.id === task.id) : -1;
+            if (index === -1) {
+                const added = BrainFishWidget.normalizeTask(task);
+                added.lastModified = added.lastModified || new Date();
+                added.id = BrainFishWidget.getUniqueTaskId(added.id, new Set(this.tasks.map(existing => existing.id)));
+                this.tasks.push(added);
+                return added;
+            }
+            // Fields the format can't express (such as color in iCalendar) are kept
+            this.tasks[index] = BrainFishWidget.normalizeTask({ ...this.tasks[index], ...task });
+            return this.tasks[index];
+        });
+
+        this.commitTasks();
+        return imported;
+    }
+
+    getFormats() {
+        return resolveModule(typeof BrainFishFormats !== 'undefined' && BrainFishFormats, './brainfish-formats');
+    }
+
+    /**
+     * What addTask would make of a quick-add string, without adding it:
+     * { title, dueDate, priority, remainingTime, matches } (needs js/brainfish-quickadd.js)
+     */
+    parseTask(text, now = new Date()) {
+        const QuickAdd = resolveModule(typeof BrainFishQuickAdd !== 'undefined' && BrainFishQuickAdd, './brainfish-quickadd');
+        return QuickAdd.parse(text, { ...(typeof this.quickAdd === 'object' ? this.quickAdd : {}), now });
+    }
+
+    createAnalytics(options) {
+        const Analytics = resolveModule(typeof BrainFishAnalytics !== 'undefined' && BrainFishAnalytics, './brainfish-analytics');
+        return new Analytics(this, options === true ? {} : options);
+    }
+
+    /**
+     * Recorded focus statistics: { since, totals, tasks, days, completions },
+     * or null without the analytics option
+     */
+    getStats() {
+        return this.analytics ? this.analytics.getStats() : null;
+    }
+
+    /**
+     * Statistics as 'json', or as 'csv' for one table: 'tasks', 'days' or 'completions'
+     */
+    exportStats(format = 'json', table = 'tasks') {
+        if (!this.analytics) {
+            throw new Error('BrainFish: statistics need the analytics option');
+        }
+        return this.analytics.export(format, table);
+    }
+
+    clearStats() {
+        if (this.analytics) this.analytics.clear();
+    }
+
+    /**
+     * Mark a task as completed and notify taskComplete listeners
+     */
+    completeTask(id) {
+        const task = this.getTask(id);
+        if (!task || task.completed) return null;
+
+        const completed = this.updateTask(id, { completed: true });
+        this.emit('taskComplete', { task: completed });
+        return completed;
+    }
+
+    handleFishClick(fish, e) {
+        // The click that follows a swipe's pointerup
+        if (Date.now() - this.lastSwipeAt < 300) return;
+        if (fish.isCaught || fish.task.completed) return;
+
+        this.emit('taskClick', { task: fish.task, originalEvent: e });
+        this.catchFish(fish);
+    }
+
+    /**
+     * A quick, mostly horizontal swipe that started on a fish snoozes or
+     * completes its task, depending on the swipe option
+     */
+    handleSwipe(start, e) {
+        const dx = e.clientX - start.x;
+        const dy = e.clientY - start.y;
+        if (e.timeStamp - start.time > SWIPE_MAX_DURATION) return;
+        if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+
+        const fish = start.fish;
+        const direction = dx < 0 ? 'left' : 'right';
+        const action = this.swipe[direction];
+        if (!action || !this.fishList.includes(fish) || fish.isCaught) return;
+
+        this.lastSwipeAt = Date.now();
+        this.emit('taskSwipe', { task: fish.task, direction: direction, action: action, originalEvent: e });
+
+        if (action === 'complete') {
+            this.catchFish(fish);
+        } else if (action === 'snooze') {
+            this.snoozeTask(fish.task.id);
+        }
+    }
+
+    /**
+     * Hide a task's fish for a while (seconds, defaults to snoozeTime). Snoozing
+     * only lasts for this page; the task itself is not changed.
+     */
+    snoozeTask(id, seconds = this.snoozeTime) {
+        const task = this.getTask(id);
+        if (!task) return null;
+
+        this.unsnoozeTask(id, { refresh: false });
+        const until = new Date(Date.now() + seconds * 1000);
+        const timer = setTimeout(() => this.unsnoozeTask(id), seconds * 1000);
+        this.snoozed.set(id, { until: until, timer: timer });
+
+        this.syncFish();
+        this.emit('taskSnooze', { task: task, until: until });
+        return until;
+    }
+
+    unsnoozeTask(id, { refresh = true } = {}) {
+        const snooze = this.snoozed.get(id);
+        if (!snooze) return;
+
+        clearTimeout(snooze.timer);
+        this.snoozed.delete(id);
+        if (refresh) this.syncFish();
+    }
+
+    /**
+     * Play the "caught" animation, then complete the fish's task
+     */
+    catchFish(fish) {
+        fish.isCaught = true;
+        fish.currentSpeed = 0; // Stop at once rather than easing out
+        this.renderer.setState(fish, 'caught', true);
+
+        setTimeout(() => {
+            fish.isCaught = false;
+            if (!this.renderer) return; // Destroyed in the meantime
+            this.renderer.setState(fish, 'caught', false);
+            this.completeTask(fish.task.id);
+        }, 500);
+    }
+
+    /**
+     * Apply a change to this.tasks: update the fish, save and notify listeners
+     */
+    commitTasks({ persist = true } = {}) {
+        this.syncFish();
+        if (persist) this.persistTasks();
+        this.emit('tasksChange', { tasks: this.tasks });
+    }
+
+    /**
+     * Diff the visible tasks against the live fishList: existing fish are
+     * updated in place, new fish swim in from the right and fish for removed
+     * or completed tasks swim away.
+     */
+    syncFish() {
+        if (!this.container) return;
+
+        // Sleeping fish stay away until wake()
+        const visibleTasks = this.isSleeping ? [] : this.getVisibleTasks();
+        const existing = new Map(this.fishList.map(fish => [fish.task.id, fish]));
+        const nextFish = [];
+
+        visibleTasks.forEach((task, index) => {
+            let fish = existing.get(task.id);
+            if (fish) {
+                existing.delete(task.id);
+                this.refreshFish(fish, task, index, visibleTasks.length);
+            } else {
+                fish = this.createSingleFish(task, index, { entering: true });
+                fish.x = this.getEntryX();
+            }
+            nextFish.push(fish);
+        });
+
+        existing.forEach(fish => this.releaseFish(fish));
+        this.fishList = nextFish;
+        this.updateAccessibleList();
+        this.updateUrgency();
+    }
+
+    /**
+     * X position for a newly added fish: just off-screen, behind the last fish
+     */
+    getEntryX() {
+        const rightmost = this.fishList.reduce((max, fish) => Math.max(max, fish.x), -Infinity);
+        return Math.max(this.simulation.width + 50, rightmost + 300);
+    }
+
+    refreshFish(fish, task, index, total) {
+        this.setFishText(fish, this.getFishText(task));
+
+        const placement = this.getTaskPlacement(task, index, total);
+        fish.task = task;
+        fish.index = index;
+        fish.speedMultiplier = placement.speedMultiplier;
+        fish.targetYOffset = fish.yJitter + placement.rank * this.prioritySpread;
+        fish.urgency = placement.urgency;
+
+        this.renderer.updateFish(fish);
+    }
+
+    /**
+     * Let a fish dart off to the left and fade out, then drop it
+     */
+    releaseFish(fish) {
+        fish.isLeaving = true;
+        fish.speedMultiplier *= 4;
+        this.renderer.setState(fish, 'leaving', true);
+        this.leavingFish.push(fish);
+
+        setTimeout(() => {
+            if (this.renderer) this.renderer.removeFish(fish);
+            this.leavingFish = this.leavingFish.filter(other => other !== fish);
+        }, 600);
+    }
+
+    // Due dates
+
+    /**
+     * Record each task's urgency, report tasks that just became overdue and
+     * schedule a fish refresh for the next threshold crossing. Tasks that were
+     * already overdue when they were added are not reported.
+     */
+    updateUrgency(now = Date.now()) {
+        const previous = this.taskUrgency;
+        this.taskUrgency = new Map();
+
+        this.tasks.forEach(task => {
+            const urgency = this.getTaskUrgency(task, now);
+            const before = previous.get(task.id);
+            if (urgency === 'overdue' && before !== undefined && before !== 'overdue') {
+                this.handleOverdue(task);
+            }
+            this.taskUrgency.set(task.id, urgency);
+        });
+
+        this.scheduleUrgencyCheck(now);
+    }
+
+    scheduleUrgencyCheck(now = Date.now()) {
+        clearTimeout(this.urgencyTimer);
+        this.urgencyTimer = null;
+
+        let next = Infinity;
+        this.tasks.forEach(task => {
+            if (!task.dueDate || task.completed) return;
+            const due = task.dueDate.getTime();
+            [due - (this.urgencyLevels.soon.within || 0) * 1000, due - (this.urgencyLevels.imminent.within || 0) * 1000, due]
+                .forEach(time => {
+                    if (time > now && time < next) next = time;
+                });
+        });
+        if (next === Infinity) return;
+
+        // syncFish moves the fish into their new lanes, speeds and sizes, then checks again
+        this.urgencyTimer = setTimeout(() => this.syncFish(), Math.min(next - now + 50, MAX_TIMER_DELAY));
+    }
+
+    handleOverdue(task) {
+        this.emit('taskOverdue', { task: task });
+
+        if (!this.notifyOverdue || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        this.showNotification(`Overdue: ${task.title}`, {
+            body: task.notes || `Due ${task.dueDate.toLocaleString()}`,
+            tag: `brainfish-${task.id}` // One notification per task, even with several tabs open
+        });
+    }
+
+    /**
+     * Show a system notification. The Notification constructor throws where
+     * only service workers may notify (Chrome on Android) and in sandboxed
+     * frames; then the page's service worker shows it, if there is one.
+     */
+    showNotification(title, options) {
+        try {
+            const notification = new Notification(title, options);
+            notification.onclick = () => window.focus();
+        } catch (error) {
+            const serviceWorker = typeof navigator !== 'undefined' && navigator.serviceWorker;
+            Promise.resolve(serviceWorker ? serviceWorker.getRegistration() : null)
+                .then(registration => {
+                    if (!registration) throw error;
+                    return registration.showNotification(title, options);
+                })
+                .catch(reason => console.warn('BrainFish: could not show a notification', reason));
+        }
+    }
+
+    // Pomodoro mode
+
+    getRemainingTime(task) {
+        if (this.pomodoro.phase === 'focus' && this.pomodoro.taskId === task.id) {
+            return Math.max(0, (this.pomodoro.endsAt - Date.now()) / 1000);
+        }
+        return task.remainingTime !== null ? task.remainingTime : this.pomodoroTime;
+    }
+
+    /**
+     * Start (or resume) focusing on a task, defaulting to the first visible one.
+     * The countdown is based on wall-clock end times, so it stays correct when
+     * the tab is throttled or in the background.
+     */
+    startPomodoro(taskId) {
+        const candidates = this.getVisibleTasks().filter(task => !task.completed);
+        const task = taskId ? this.getTask(taskId) : candidates[0];
+        if (!task) return null;
+
+        if (this.pomodoro.phase === 'focus') {
+            this.stopPomodoro();
+        }
+
+        this.pomodoro = this.createFocusPhase(task, Date.now());
+        this.ensurePomodoroTimer();
+        this.updatePomodoroFish();
+        this.emit('pomodoroStart', { task: task, duration: (this.pomodoro.endsAt - this.pomodoro.startedAt) / 1000 });
+        return task;
+    }
+
+    /**
+     * Focus phase for a task starting at `start` (ms). A resumed task keeps its
+     * remaining time, and startedAt is backdated so progress reflects the full
+     * Pomodoro length.
+     */
+    createFocusPhase(task, start) {
+        const remaining = task.remainingTime ? task.remainingTime : this.pomodoroTime;
+        const elapsed = Math.max(0, this.pomodoroTime - remaining);
+        return {
+            phase: 'focus',
+            taskId: task.id,
+            startedAt: start - elapsed * 1000,
+            endsAt: start + remaining * 1000
+        };
+    }
+
+    /**
+     * Pause the countdown, keeping the focused task's remaining time
+     */
+    stopPomodoro() {
+        const { phase, taskId, endsAt } = this.pomodoro;
+        this.pomodoro = { phase: 'idle', taskId: null, startedAt: 0, endsAt: 0 };
+        clearInterval(this.pomodoroTimer);
+        this.pomodoroTimer = null;
+
+        if (phase === 'focus' && this.getTask(taskId)) {
+            this.updateTask(taskId, { remainingTime: Math.max(0, (endsAt - Date.now()) / 1000) });
+        }
+        this.updatePomodoroFish();
+    }
+
+    ensurePomodoroTimer() {
+        if (this.pomodoroTimer) return;
+        this.pomodoroTimer = setInterval(() => this.tickPomodoro(), 1000);
+    }
+
+    /**
+     * Advance through every phase boundary that has passed. After a long
+     * background stretch this may fire several events in a row, in order.
+     */
+    tickPomodoro(now = Date.now()) {
+        while (this.pomodoro.phase !== 'idle' && now >= this.pomodoro.endsAt) {
+            const endedAt = this.pomodoro.endsAt;
+
+            if (this.pomodoro.phase === 'focus') {
+                const task = this.getTask(this.pomodoro.taskId);
+                if (task) {
+                    this.updateTask(task.id, { remainingTime: 0 });
+                    this.emit('pomodoroEnd', { task: this.getTask(task.id) });
+                }
+                this.pomodoro = { phase: 'break', taskId: this.pomodoro.taskId, startedAt: endedAt, endsAt: endedAt + this.breakTime * 1000 };
+                this.emit('breakStart', { duration: this.breakTime });
+            } else {
+                this.emit('breakEnd', {});
+                const next = this.getNextPomodoroTask(this.pomodoro.taskId);
+                if (!next) {
+                    this.pomodoro = { phase: 'idle', taskId: null, startedAt: 0, endsAt: 0 };
+                    break;
+                }
+                this.pomodoro = this.createFocusPhase(next, endedAt);
+                this.emit('pomodoroStart', { task: next, duration: (this.pomodoro.endsAt - endedAt) / 1000 });
+            }
+        }
+
+        if (this.pomodoro.phase === 'idle') {
+            clearInterval(this.pomodoroTimer);
+            this.pomodoroTimer = null;
+        }
+        this.updatePomodoroFish();
+    }
+
+    /**
+     * Next task to focus on after a break. Like the macOS app, once every task
+     * has had its turn all countdowns reset to the default time.
+     */
+    getNextPomodoroTask(previousId) {
+        const candidates = this.getVisibleTasks().filter(task => !task.completed);
+        if (candidates.length === 0) return null;
+
+        const previousIndex = candidates.findIndex(task => task.id === previousId);
+        if (previousIndex !== -1 && previousIndex < candidates.length - 1) {
+            return candidates[previousIndex + 1];
+        }
+
+        // One commit for the whole round, so storage and tasksChange see a single change
+        const resetIds = new Set(candidates.map(task => task.id));
+        const now = new Date();
+        this.tasks = this.tasks.map(task => (resetIds.has(task.id)
+            ? BrainFishWidget.normalizeTask({ ...task, remainingTime: this.pomodoroTime, lastModified: now })
+            : task));
+        this.commitTasks();
+        return this.getTask(candidates[0].id);
+    }
+
+    /**
+     * Refresh countdown text and focus/break styling on the fish
+     */
+    updatePomodoroFish() {
+        if (!this.container) return;
+
+        this.renderer.setContainerState('on-break', this.pomodoro.phase === 'break');
+        this.fishList.forEach(fish => {
+            const focused = this.pomodoro.phase === 'focus' && fish.task.id === this.pomodoro.taskId;
+            this.renderer.setState(fish, 'focused', focused);
+            this.renderer.setState(fish, 'pomodoro-low', focused && this.getPomodoroProgress() <= this.pomodoroLowThreshold);
+            this.setFishText(fish, this.getFishText(fish.task));
+        });
+        this.updateAccessibleList();
+    }
+
+    /**
+     * Fraction of the current phase still to go (1 = just started, 0 = done)
+     */
+    getPomodoroProgress(now = Date.now()) {
+        const { phase, startedAt, endsAt } = this.pomodoro;
+        if (phase === 'idle' || endsAt <= startedAt) return 1;
+        return Math.max(0, Math.min(1, (endsAt - now) / (endsAt - startedAt)));
+    }
+
+    /**
+     * Speed factor from the Pomodoro state: fish drift slowly during breaks and
+     * the focused fish grows restless as its time runs low
+     */
+    getPomodoroSpeedFactor(fish) {
+        if (this.pomodoro.phase === 'break') return 0.5;
+        return 1 + this.getPomodoroUrgency(fish); // Up to double speed as the countdown reaches zero
+    }
+
+    /**
+     * 0 until the focused task's countdown passes pomodoroLowThreshold, then
+     * rising to 1 as it reaches zero. Always 0 for other fish.
+     */
+    getPomodoroUrgency(fish) {
+        if (this.pomodoro.phase !== 'focus' || fish.task.id !== this.pomodoro.taskId) return 0;
+
+        const progress = this.getPomodoroProgress();
+        return progress > this.pomodoroLowThreshold ? 0 : 1 - progress / this.pomodoroLowThreshold;
+    }
+
+    /**
+     * Show or hide the debug overlay (needs js/brainfish-debug.js)
+     */
+    setDebug(on) {
+        if (on && !this.debugOverlay) {
+            const DebugOverlay = resolveModule(
+                typeof BrainFishDebugOverlay !== 'undefined' && BrainFishDebugOverlay,
+                './brainfish-debug'
+            );
+            this.debugOverlay = new DebugOverlay(this);
+            this.debugOverlay.mount();
+        } else if (!on && this.debugOverlay) {
+            this.debugOverlay.destroy();
+            this.debugOverlay = null;
+        }
+        this.debug = on;
+    }
+
+    toggleDebug() {
+        this.setDebug(!this.debugOverlay);
+    }
+
+    /**
+     * Add or remove the clip drawers (needs js/brainfish-clipdrawer.js).
+     * Pass true for the macOS defaults or an object of drawer options.
+     */
+    setClipDrawer(options) {
+        this.clipDrawerOptions = options || null; // init() mounts them again after a destroy
+        if (this.clipDrawer) {
+            this.clipDrawer.destroy();
+            this.clipDrawer = null;
+        }
+        if (!options || !this.container) return;
+
+        const ClipDrawer = resolveModule(
+            typeof BrainFishClipDrawer !== 'undefined' && BrainFishClipDrawer,
+            './brainfish-clipdrawer'
+        );
+        const rootNode = this.container.getRootNode();
+        this.clipDrawer = new ClipDrawer(Object.assign({}, options === true ? {} : options, {
+            root: rootNode.host ? rootNode : document.body,
+            onChange: clips => this.emit('clipsChange', { clips }),
+            onError: (message, error) => {
+                this.announce(message);
+                this.emit('clipsError', { message, error });
+            }
+        }));
+        this.clipDrawer.mount();
+    }
+
+    /**
+     * Open the task editor panel (needs js/brainfish-editor.js)
+     */
+    showEditor() {
+        if (!this.editor) {
+            const Editor = resolveModule(typeof BrainFishEditor !== 'undefined' && BrainFishEditor, './brainfish-editor');
+            this.editor = new Editor(this);
+        }
+        this.editor.show();
+    }
+
+    hideEditor() {
+        if (this.editor) this.editor.hide();
+    }
+
+    toggleEditor() {
+        if (this.editor && this.editor.isOpen) {
+            this.hideEditor();
+        } else {
+            this.showEditor();
+        }
+    }
+
+    /**
+     * Match a keyboard event against a shortcut such as 'Alt+Shift+D'.
+     * Letters and digits are compared by physical key, since Alt changes e.key on macOS.
+     */
+    static matchesShortcut(e, shortcut) {
+        const parts = shortcut.split('+').map(part => part.trim().toLowerCase());
+        const key = parts.pop();
+        const modifiers = { ctrl: e.ctrlKey, alt: e.altKey, shift: e.shiftKey, meta: e.metaKey };
+
+        const modifiersMatch = Object.keys(modifiers).every(name => modifiers[name] === parts.includes(name));
+        const code = /^[a-z]$/.test(key) ? `key${key}` : /^[0-9]$/.test(key) ? `digit${key}` : null;
+        const keyMatches = code ? (e.code || '').toLowerCase() === code : (e.key || '').toLowerCase() === key;
+
+        return modifiersMatch && keyMatches;
+    }
+
+    destroy() {
+        this.stopAnimation();
+
+        if (this.handleVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            this.handleVisibilityChange = null;
+        }
+        clearTimeout(this.sleepTimer);
+        this.sleepTimer = null;
+        this.sleepReasons.clear();
+        this.isSleeping = false;
+        this.removeActivityListeners();
+
+        if (this.handleKeyDown) {
+            document.removeEventListener('keydown', this.handleKeyDown);
+            this.handleKeyDown = null;
+        }
+
+        if (this.handlePointerMove) {
+            document.removeEventListener('pointerdown', this.handlePointerMove);
+            document.removeEventListener('pointermove', this.handlePointerMove);
+            document.removeEventListener('pointerup', this.handlePointerEnd);
+            document.removeEventListener('pointercancel', this.handlePointerEnd);
+            this.handlePointerMove = null;
+            this.handlePointerEnd = null;
+        }
+
+        if (this.handleSwipeStart) {
+            document.removeEventListener('pointerdown', this.handleSwipeStart);
+            document.removeEventListener('pointerup', this.handleSwipeEnd);
+            document.removeEventListener('pointercancel', this.handleSwipeEnd);
+            document.removeEventListener('touchmove', this.handleSwipeMove, { passive: false });
+            this.handleSwipeStart = null;
+            this.handleSwipeEnd = null;
+            this.handleSwipeMove = null;
+        }
+
+        if (this.motionQuery) {
+            if (this.motionQuery.removeEventListener) {
+                this.motionQuery.removeEventListener('change', this.handleMotionChange);
+            } else {
+                this.motionQuery.removeListener(this.handleMotionChange);
+            }
+            this.motionQuery = null;
+        }
+        if (this.announcers) {
+            Object.keys(this.announcers).forEach(type => this.off(type, this.announcers[type]));
+            this.announcers = null;
+        }
+        this.accessibleList = null;
+        this.accessibleItems.clear();
+        this.liveRegion = null;
+
+        this.snoozed.forEach(snooze => clearTimeout(snooze.timer));
+        this.snoozed.clear();
+        this.pointers.clear();
+
+        if (this.debugOverlay) {
+            this.debugOverlay.destroy();
+            this.debugOverlay = null;
+        }
+
+        if (this.editor) {
+            this.editor.destroy();
+            this.editor = null;
+        }
+
+        if (this.clipDrawer) {
+            this.clipDrawer.destroy();
+            this.clipDrawer = null;
+        }
+
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('scroll', this.handleScroll, { capture: true });
+
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+
+        if (this.restoreTargetPosition) {
+            this.restoreTargetPosition();
+            this.restoreTargetPosition = null;
+        }
+
+        if (this.syncEngine) {
+            this.syncEngine.stop();
+        }
+
+        if (this.analytics) {
+            this.analytics.stop();
+        }
+
+        clearInterval(this.pomodoroTimer);
+        this.pomodoroTimer = null;
+        clearTimeout(this.urgencyTimer);
+        this.urgencyTimer = null;
+
+        if (this.storage) {
+            this.storage.unsubscribe();
+            this.storageReady = false;
+        }
+
+        this.fishList = [];
+        this.leavingFish = [];
+    }
+}
+
+Object.keys(BUILT_IN_THEMES).forEach(name => BrainFishWidget.registerTheme(name, BUILT_IN_THEMES[name]));
 
 // Auto-initialize if config is found
 if (typeof window !== 'undefined') {
@@ -0,0 +1,144 @@
+/**
+ * BrainFish mock sync server - in-memory task API for trying out brainfish-sync.js
+ *
+ * Usage: node mock-sync-server.js [port]
+ * Then open http://localhost:8787/test-sync.html
+ *
+ *   GET    /api/tasks         all tasks
+ *   PUT    /api/tasks/{id}    create or update a task
+ *   DELETE /api/tasks/{id}    delete a task
+ *   GET    /api/tasks/events  Server-Sent Events stream of task snapshots
+ *
+ * Everything else is served as a static file from this directory.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const port = Number(process.argv[2]) || 8787;
+const root = __dirname;
+
+const contentTypes = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.png': 'image/png'
+};
+
+let tasks = [
+    { id: 'server-1', title: 'From the server', completed: false, lastModified: new Date().toISOString() }
+];
+const eventClients = new Set();
+
+function broadcast() {
+    const message = `data: ${JSON.stringify(tasks)}\n\n`;
+    eventClients.forEach(client => client.write(message));
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+function handleApi(req, res, url) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, DELETE',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        res.end();
+        return;
+    }
+
+    if (url.pathname === '/api/tasks/events') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write(`data: ${JSON.stringify(tasks)}\n\n`);
+        eventClients.add(res);
+        req.on('close', () => eventClients.delete(res));
+        return;
+    }
+
+    if (url.pathname === '/api/tasks' && req.method === 'GET') {
+        sendJSON(res, 200, tasks);
+        return;
+    }
+
+    const match = url.pathname.match(/^\/api\/tasks\/([^/]+)$/);
+    if (!match) {
+        sendJSON(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const id = decodeURIComponent(match[1]);
+    if (req.method === 'PUT') {
+        readBody(req).then(task => {
+            const stored = { ...task, id: id };
+            const index = tasks.findIndex(existing => existing.id === id);
+            if (index === -1) {
+                tasks.push(stored);
+            } else {
+                tasks[index] = stored;
+            }
+            console.log(`PUT ${id}: ${stored.title}${stored.completed ? ' (completed)' : ''}`);
+            sendJSON(res, 200, stored);
+            broadcast();
+        }).catch(() => sendJSON(res, 400, { error: 'Invalid JSON' }));
+    } else if (req.method === 'DELETE') {
+        tasks = tasks.filter(task => task.id !== id);
+        console.log(`DELETE ${id}`);
+        sendJSON(res, 204);
+        broadcast();
+    } else {
+        sendJSON(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+function serveStatic(req, res, url) {
+    const filePath = path.join(root, path.normalize(decodeURIComponent(url.pathname)));
+    if (!filePath.startsWith(root)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    if (url.pathname.startsWith('/api/')) {
+        handleApi(req, res, url);
+    } else {
+        serveStatic(req, res, url);
+    }
+}).listen(port, () => {
+    console.log(`BrainFish mock sync server running at http://localhost:${port}/test-sync.html`);
+});
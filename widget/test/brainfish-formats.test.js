@@ -0,0 +1,64 @@
+/**
+ * Import and export round trips for every task format.
+ * Run with: node --test widget/test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BrainFishFormats = require('../js/brainfish-formats');
+
+const tasks = [
+    {
+        id: 'a1',
+        title: 'Pay rent, "on time"',
+        notes: 'line1\n\nline3, with a comma\n"quoted"; and a \\ backslash',
+        dueDate: new Date('2026-02-01T17:30:00Z'),
+        priority: 'high',
+        completed: false
+    },
+    { id: 'b2', title: 'Call Bob', notes: null, dueDate: null, priority: null, completed: true },
+    { id: 'c3', title: 'Éclair für Zoë ☕', notes: 'Two\n\n\nblank lines and a trailing one', dueDate: null, priority: null, completed: false }
+];
+
+const kept = list => list.map(task => ({
+    id: task.id,
+    title: task.title,
+    notes: task.notes || null,
+    dueDate: task.dueDate ? task.dueDate.toISOString() : null,
+    completed: task.completed
+}));
+
+['json', 'ics', 'markdown'].forEach(format => {
+    test(`${format} keeps title, notes, due date, completion and ID`, () => {
+        const text = BrainFishFormats.exportTasks(tasks, format);
+
+        assert.deepEqual(kept(BrainFishFormats.importTasks(text, format)), kept(tasks));
+        assert.equal(BrainFishFormats.detectFormat(text), format);
+    });
+});
+
+test('markdown notes end at the next unindented line, not at a blank one', () => {
+    const imported = BrainFishFormats.importTasks([
+        '- [ ] First',
+        '  line1',
+        '',
+        '  line3',
+        '',
+        'Some paragraph',
+        '  not a note',
+        '- [x] Second'
+    ].join('\n'), 'markdown');
+
+    assert.deepEqual(imported.map(task => [task.title, task.notes, task.completed]), [
+        ['First', 'line1\n\nline3', false],
+        ['Second', null, true]
+    ]);
+});
+
+test('long ics lines are folded and unfolded without losing characters', () => {
+    const long = [{ id: 'x', title: 'é'.repeat(100), notes: null, dueDate: null, completed: false }];
+    const text = BrainFishFormats.exportTasks(long, 'ics');
+
+    text.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.equal(BrainFishFormats.importTasks(text, 'ics')[0].title, long[0].title);
+});
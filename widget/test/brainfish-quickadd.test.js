@@ -0,0 +1,49 @@
+/**
+ * Quick-add due dates for a date without a time.
+ * Run with: node --test widget/test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BrainFishQuickAdd = require('../js/brainfish-quickadd');
+
+const at = (hour, minute = 0) => new Date(2026, 0, 14, hour, minute); // A Wednesday
+
+test('a date without a time is due at the default hour', () => {
+    assert.deepEqual(BrainFishQuickAdd.parse('Call Bob today', { now: at(8) }).dueDate, at(9));
+    assert.deepEqual(BrainFishQuickAdd.parse('Call Bob tomorrow', { now: at(15) }).dueDate, new Date(2026, 0, 15, 9));
+    assert.deepEqual(BrainFishQuickAdd.parse('Call Bob today', { now: at(8), defaultHour: 17 }).dueDate, at(17));
+});
+
+test('today after the default hour is due at the end of the day', () => {
+    assert.deepEqual(BrainFishQuickAdd.parse('Call Bob today', { now: at(15) }).dueDate, at(23, 59));
+    assert.deepEqual(BrainFishQuickAdd.parse('Party tonight', { now: at(21) }).dueDate, at(23, 59));
+});
+
+test('an explicit time is kept even once it has passed', () => {
+    assert.deepEqual(BrainFishQuickAdd.parse('Call Bob today at 10am', { now: at(15) }).dueDate, at(10));
+});
+
+test('a preposition before a date or time leaves the title with it', () => {
+    const meeting = BrainFishQuickAdd.parse('Meeting on 12:30', { now: at(8) });
+    assert.equal(meeting.title, 'Meeting');
+    assert.deepEqual(meeting.dueDate, at(12, 30));
+
+    const bug = BrainFishQuickAdd.parse('Fix bug by 5pm tomorrow', { now: at(8) });
+    assert.equal(bug.title, 'Fix bug');
+    assert.deepEqual(bug.dueDate, new Date(2026, 0, 15, 17));
+
+    assert.equal(BrainFishQuickAdd.parse('Dinner at noon', { now: at(8) }).title, 'Dinner');
+    assert.equal(BrainFishQuickAdd.parse('Stand by me', { now: at(8) }).title, 'Stand by me');
+});
+
+test('a duration needs its unit against the number, a unit word or "for"', () => {
+    const rope = BrainFishQuickAdd.parse('Buy 2 m of rope', { now: at(8) });
+    assert.equal(rope.title, 'Buy 2 m of rope');
+    assert.equal(rope.remainingTime, null);
+
+    assert.equal(BrainFishQuickAdd.parse('Write 25m', { now: at(8) }).remainingTime, 1500);
+    assert.equal(BrainFishQuickAdd.parse('Write 1h30m', { now: at(8) }).remainingTime, 5400);
+    assert.equal(BrainFishQuickAdd.parse('Write 1.5 hours', { now: at(8) }).remainingTime, 5400);
+    assert.equal(BrainFishQuickAdd.parse('Stretch for 2 m', { now: at(8) }).remainingTime, 120);
+});
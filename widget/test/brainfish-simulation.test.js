@@ -0,0 +1,108 @@
+/**
+ * Simulation core, driven headless with a seed so every run is the same.
+ * Run with: node --test widget/test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Simulation = require('../js/brainfish-simulation');
+
+function createSchool(simulation, titles) {
+    return titles.map((title, index) => ({
+        ...simulation.createFishMotion(index, 0, 1),
+        textWidth: simulation.textWidth(title.length, 16),
+        fontSize: 16
+    }));
+}
+
+// Steer, school, step and separate, as the widget does every frame
+function run(simulation, fishes, frames, steer = () => {}) {
+    for (let frame = 0; frame < frames; frame++) {
+        fishes.forEach(fish => {
+            fish.targetSpeed = simulation.speed * fish.speedMultiplier;
+            fish.isAvoiding = false;
+            steer(fish, frame);
+        });
+        simulation.school(fishes);
+        fishes.forEach(fish => simulation.step(fish, 1 / 60, fishes));
+        simulation.separate(fishes);
+    }
+}
+
+test('the same seed gives the same fish', () => {
+    const a = new Simulation({ width: 1280, seed: 42 });
+    const b = new Simulation({ width: 1280, seed: 42 });
+    const c = new Simulation({ width: 1280, seed: 43 });
+
+    assert.deepEqual(a.createFishMotion(0, 0, 1), b.createFishMotion(0, 0, 1));
+    assert.notDeepEqual(new Simulation({ width: 1280, seed: 42 }).createFishMotion(0, 0, 1), c.createFishMotion(0, 0, 1));
+});
+
+test('a seeded run is reproducible frame for frame', () => {
+    const simulate = () => {
+        const simulation = new Simulation({ width: 1280, seed: 7 });
+        const fishes = createSchool(simulation, ['Write report', 'Call Bob', 'Pay rent']);
+        run(simulation, fishes, 600, (fish, frame) => {
+            if (fish.index === 2 && frame > 100 && frame < 160) {
+                fish.isAvoiding = true;
+                fish.targetSpeed *= simulation.avoidance.speedFactor;
+            }
+        });
+        return fishes.map(fish => ({ x: fish.x, speed: fish.currentSpeed, layout: simulation.layout(fish, 8, 16) }));
+    };
+
+    assert.deepEqual(simulate(), simulate());
+});
+
+test('the cached path matches the exact wave', () => {
+    const simulation = new Simulation({ width: 1280, seed: 1 });
+    const [fish] = createSchool(simulation, ['Task']);
+    const k = (Math.PI * simulation.waveFrequency * fish.waveFrequency) / simulation.width;
+    const amplitude = simulation.getAmplitude(fish);
+
+    for (let x = -500; x <= 1700; x += 37) {
+        const exact = simulation.baseY + fish.baseYOffset + Math.sin(k * x + fish.wavePhase) * amplitude;
+        assert.ok(Math.abs(simulation.pathY(fish, x) - exact) < 0.1, `path at x = ${x}`);
+    }
+});
+
+test('fish in one lane keep their gap while the last one flees the cursor', () => {
+    const simulation = new Simulation({ width: 1280, seed: 3 });
+    const fishes = createSchool(simulation, ['Write report', 'Call Bob', 'Pay rent']);
+
+    run(simulation, fishes, 1200, (fish, frame) => {
+        if (fish.index === 2 && frame % 300 < 120) {
+            fish.isAvoiding = true;
+            fish.targetSpeed *= simulation.avoidance.speedFactor;
+        }
+        if (frame > 0) {
+            simulation.orderSchool(fishes).forEach(({ fish: follower, leader }) => {
+                if (leader) assert.ok(simulation.getGap(leader, follower) >= -1e-9, `overlap in frame ${frame}`);
+            });
+        }
+    });
+});
+
+test('a fish that swims off the left edge wraps round behind its lane', () => {
+    const simulation = new Simulation({ width: 800, seed: 5 });
+    const fishes = createSchool(simulation, ['Alone']);
+    const [fish] = fishes;
+    fish.x = -simulation.getExtent(fish).back - simulation.schooling.wrapMargin + 1;
+
+    run(simulation, fishes, 1);
+
+    assert.equal(fish.x, simulation.width + 100);
+});
+
+test('mirroring flips screen x and the layout', () => {
+    const simulation = new Simulation({ width: 1000, seed: 9, mirror: true });
+    const [fish] = createSchool(simulation, ['Mirror']);
+    fish.x = 200;
+
+    const layout = simulation.layout(fish, [10, 10, 10], 16);
+    assert.equal(layout.x, 800);
+    assert.equal(layout.mirrored, true);
+    assert.equal(layout.textWidth, 30);
+    assert.deepEqual(layout.letters.map(letter => letter.x), [-5, 5, 15]);
+    assert.equal(simulation.toScreenX(layout.x), fish.x);
+});
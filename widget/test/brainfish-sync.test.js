@@ -0,0 +1,161 @@
+/**
+ * Sync merge rules: newest edit wins, tasks without lastModified count as
+ * oldest, and local deletions are neither undone nor lost.
+ * Run with: node --test widget/test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BrainFishWidget = require('../js/brainfish-widget-v2');
+const BrainFishSync = require('../js/brainfish-sync');
+
+// The parts of the widget the sync engine uses
+class FakeWidget {
+    constructor(tasks) {
+        this.tasks = BrainFishWidget.normalizeTasks(tasks);
+    }
+
+    static normalizeTasks(tasks) {
+        return BrainFishWidget.normalizeTasks(tasks);
+    }
+
+    replaceTasks(tasks) {
+        this.tasks = BrainFishWidget.normalizeTasks(tasks);
+    }
+
+    on() {}
+    off() {}
+    emit() {}
+}
+
+function createSync(localTasks, state = {}) {
+    const requests = [];
+    const widget = new FakeWidget(localTasks);
+    const sync = new BrainFishSync(widget, {
+        endpoint: '/api/tasks',
+        fetch: (url, init) => {
+            requests.push(`${init.method} ${url}`);
+            return Promise.resolve({ ok: true, json: () => Promise.resolve([]) });
+        }
+    });
+    sync.knownIds = new Set(state.knownIds || []);
+    sync.deleted = state.deleted || {};
+    return { sync, widget, requests };
+}
+
+const titles = widget => widget.tasks.map(task => task.title);
+
+test('the newer remote edit replaces the local task', async () => {
+    const { sync, widget, requests } = createSync(
+        [{ id: 'a', title: 'Local', lastModified: '2024-01-01T00:00:00Z' }], { knownIds: ['a'] });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote', lastModified: '2024-01-02T00:00:00Z' }]);
+
+    assert.deepEqual(titles(widget), ['Remote']);
+    assert.deepEqual(requests, []);
+});
+
+test('the newer local edit is kept and pushed', async () => {
+    const { sync, widget, requests } = createSync(
+        [{ id: 'a', title: 'Local', lastModified: '2024-01-03T00:00:00Z' }], { knownIds: ['a'] });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote', lastModified: '2024-01-02T00:00:00Z' }]);
+
+    assert.deepEqual(titles(widget), ['Local']);
+    assert.deepEqual(requests, ['PUT /api/tasks/a']);
+});
+
+test('a remote task without lastModified never overwrites a local edit', async () => {
+    const { sync, widget, requests } = createSync(
+        [{ id: 'a', title: 'Local', lastModified: '2024-01-03T00:00:00Z' }], { knownIds: ['a'] });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote' }]);
+
+    assert.deepEqual(titles(widget), ['Local']);
+    assert.deepEqual(requests, ['PUT /api/tasks/a']);
+});
+
+test('tasks without lastModified on both sides are left alone', async () => {
+    const { sync, widget, requests } = createSync([{ id: 'a', title: 'Local' }], { knownIds: ['a'] });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote' }]);
+
+    assert.deepEqual(titles(widget), ['Local']);
+    assert.deepEqual(requests, []);
+});
+
+test('a local deletion is pushed instead of the task coming back', async () => {
+    const deletedAt = Date.parse('2024-01-02T00:00:00Z');
+    const { sync, widget, requests } = createSync([], { knownIds: ['a'], deleted: { a: deletedAt } });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote' }]);
+
+    assert.deepEqual(titles(widget), []);
+    assert.deepEqual(requests, ['DELETE /api/tasks/a']);
+    assert.deepEqual(sync.deleted, {});
+});
+
+test('a local deletion wins over an older remote edit', async () => {
+    const deletedAt = Date.parse('2024-01-02T00:00:00Z');
+    const { sync, widget, requests } = createSync([], { knownIds: ['a'], deleted: { a: deletedAt } });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote', lastModified: '2024-01-01T00:00:00Z' }]);
+
+    assert.deepEqual(titles(widget), []);
+    assert.deepEqual(requests, ['DELETE /api/tasks/a']);
+});
+
+test('a remote edit made after the local deletion is kept', async () => {
+    const deletedAt = Date.parse('2024-01-02T00:00:00Z');
+    const { sync, widget, requests } = createSync([], { knownIds: ['a'], deleted: { a: deletedAt } });
+
+    await sync.reconcile([{ id: 'a', title: 'Remote', lastModified: '2024-01-03T00:00:00Z' }]);
+
+    assert.deepEqual(titles(widget), ['Remote']);
+    assert.deepEqual(requests, []);
+    assert.equal(sync.deleted.a, undefined);
+});
+
+test('a synced task that is gone remotely is removed locally', async () => {
+    const { sync, widget } = createSync([{ id: 'a', title: 'Gone' }, { id: 'b', title: 'Kept' }], { knownIds: ['a', 'b'] });
+
+    await sync.reconcile([{ id: 'b', title: 'Kept' }]);
+
+    assert.deepEqual(titles(widget), ['Kept']);
+});
+
+test('a task that was never synced is created remotely', async () => {
+    const { sync, widget, requests } = createSync([{ id: 'new', title: 'New' }]);
+
+    await sync.reconcile([{ id: 'r', title: 'Remote' }]);
+
+    assert.deepEqual(titles(widget), ['New', 'Remote']);
+    assert.deepEqual(requests, ['PUT /api/tasks/new']);
+    assert.ok(sync.knownIds.has('new'));
+});
+
+test('a remote task without a title is skipped, not the whole sync', async () => {
+    const { sync, widget } = createSync([{ id: 'a', title: 'Local' }], { knownIds: ['a', 'b'] });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        await sync.reconcile([{ id: 'a', title: 'Local' }, { id: 'b', title: '' }, { id: 'c', title: 'Remote' }]);
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.deepEqual(titles(widget), ['Local', 'Remote']);
+});
+
+test('a sync that finishes after stop() leaves the widget alone', async () => {
+    const { sync, widget } = createSync([{ id: 'a', title: 'Local' }], { knownIds: ['a'] });
+    let respond;
+    sync.fetch = () => new Promise(resolve => { respond = resolve; });
+
+    const pending = sync.performSync();
+    sync.stop();
+    respond({ ok: true, json: () => Promise.resolve([{ id: 'a', title: 'Local' }, { id: 'r', title: 'Remote' }]) });
+    await pending;
+
+    assert.deepEqual(titles(widget), ['Local']);
+});